@@ -1,13 +1,63 @@
 // PyxiCloud.js
 const WebSocket = require('ws');
+const http = require('http');
+const https = require('https');
 const fs = require('fs');
 const path = require('path');
 const crypto = require('crypto');
 const config = require('./config');
-
-const schemaDirectory = path.join(__dirname, 'Database', 'schemas');
-const collectionsDirectory = path.join(__dirname, 'Database', 'collections');
-const backupDirectory = path.join(__dirname, 'Database', 'backups');
+const { createStorageEngine, applyToCollection, writeFileAtomic } = require('./storage');
+const { CollectionIndexes, indexDefinitions } = require('./indexes');
+const { ValidationError, validateDocument, checkSchemaDefinition } = require('./validator');
+const { applyMigration, checkMigration } = require('./migrations');
+const { applyUpdate, checkUpdate, upsertBase } = require('./updates');
+const { checkPath, deepEqual, resolvePath, cloneDocument } = require('./paths');
+const {
+    checkSchemaOptions,
+    withSystemFields,
+    stampNew,
+    stampUpdated,
+    checkVersion,
+    checkExpectedVersion,
+    checkId
+} = require('./documents');
+const { checkTtl, isExpired } = require('./ttl');
+const { parseSearch, textFieldDefinitions } = require('./textsearch');
+const {
+    checkSort,
+    sortEntries,
+    compareKeys,
+    checkProjection,
+    applyProjection,
+    encodeCursor,
+    decodeCursor,
+    distinctValues
+} = require('./results');
+const { runPipeline } = require('./aggregate');
+const { UserStore } = require('./users');
+const { SessionStore } = require('./sessions');
+const { Keyring, encrypt, decrypt, checkPlainValues } = require('./encryption');
+const { BackupManager } = require('./backups');
+const { MutationJournal } = require('./journal');
+const { ReplicationState, ReplicationClient, ROLES: REPLICATION_ROLES } = require('./replication');
+const { RateLimiter } = require('./ratelimit');
+const { IPList, clientAddress } = require('./network');
+const { HttpGateway } = require('./gateway');
+const { HookRegistry } = require('./hooks');
+const { AuditLog } = require('./audit');
+const { MetricsRegistry } = require('./metrics');
+const { logger } = require('./logger');
+const { PyxiCloudError, describeError } = require('./errors');
+const { version: SERVER_VERSION } = require('./package.json');
+
+// PYXICLOUD_DATA_DIR lets several servers run from one checkout, e.g. a
+// primary and its followers on one machine
+const dataDirectory = process.env.PYXICLOUD_DATA_DIR
+    ? path.resolve(process.env.PYXICLOUD_DATA_DIR)
+    : path.join(__dirname, 'Database');
+const schemaDirectory = path.join(dataDirectory, 'schemas');
+const collectionsDirectory = path.join(dataDirectory, 'collections');
+const backupDirectory = path.join(dataDirectory, 'backups');
 
 if (!fs.existsSync(schemaDirectory)) {
     fs.mkdirSync(schemaDirectory, { recursive: true });
@@ -19,23 +69,255 @@ if (!fs.existsSync(backupDirectory)) {
     fs.mkdirSync(backupDirectory, { recursive: true });
 }
 
-const ENCRYPTION_ALGORITHM = 'aes-256-cbc';
+const WRITE_OPERATIONS = [
+    'insertOne', 'insertMany', 'updateOne', 'updateMany', 'updateById', 'deleteOne', 'deleteMany', 'deleteById'
+];
+const QUERY_OPERATIONS = ['find', 'findOne', 'findById', 'search', 'count', 'distinct', 'aggregate', ...WRITE_OPERATIONS];
+
+// Role a request needs on its data.collectionName. Queries are checked per
+// operation in handleQuery and account management needs admin on '*'.
+const REQUEST_ROLES = {
+    CreateSchema: 'admin',
+    UpdateSchema: 'admin',
+    DropCollection: 'admin',
+    CreateIndex: 'admin',
+    DropIndex: 'admin',
+    GetSchema: 'read',
+    ListIndexes: 'read',
+    Subscribe: 'read',
+    ImportDocuments: 'write',
+    ValidateCollection: 'read'
+};
+const ADMINISTRATOR_REQUESTS = [
+    'CreateUser',
+    'DeleteUser',
+    'GrantRole',
+    'ListUsers',
+    'ListSessions',
+    'RevokeSession',
+    'RotateEncryptionKey',
+    'CreateBackup',
+    'ListBackups',
+    'RestoreBackup',
+    'Replicate',
+    'Promote',
+    'ReplicationStatus',
+    'ReloadAccessLists',
+    'ReloadHooks',
+    'Compact',
+    'ServerStatus'
+];
+// Requests that change replicated data or schemas, refused by followers
+const FOLLOWER_REFUSED_REQUESTS = [
+    'CreateSchema', 'UpdateSchema', 'DropCollection', 'CreateIndex', 'DropIndex', 'RestoreBackup', 'ImportDocuments'
+];
+// Requests that change nothing, only audited with auditLog: 'all'. Queries
+// are reads unless their operation is a write.
+const READ_REQUESTS = [
+    'Hello', 'GetSchema', 'ListSchemas', 'ListIndexes', 'Subscribe', 'Unsubscribe', 'ValidateCollection',
+    'ListUsers', 'ListSessions', 'ListBackups', 'ReplicationStatus', 'ServerStatus'
+];
+// Request types the server answers; metrics label anything else 'unknown'
+const REQUEST_TYPES = [
+    'Hello', 'Authenticate', 'Logout', 'Query', 'BeginTransaction', 'Commit', 'Abort', 'Unsubscribe', 'ListSchemas',
+    'ChangePassword', ...Object.keys(REQUEST_ROLES), ...ADMINISTRATOR_REQUESTS
+];
+// Versions of the request/response protocol this server speaks; Hello
+// picks the highest one the client also supports
+const PROTOCOL_VERSIONS = [1];
+const CLIENT_CERTIFICATE_MODES = ['off', 'optional', 'required'];
+const SESSION_SWEEP_INTERVAL = 60 * 1000;
+const RATE_LIMIT_SWEEP_INTERVAL = 60 * 1000;
+
+function schemaNotFound(collectionName) {
+    return new PyxiCloudError('NOT_FOUND', `Schema for collection "${collectionName}" not found`, {
+        resource: 'schema',
+        name: collectionName
+    });
+}
+
+function replicationNotEnabled() {
+    return new PyxiCloudError('CONFLICT', 'Replication is not enabled on this server');
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// The mutation with transform applied to each document it writes
+function mapMutationDocuments(mutation, transform) {
+    switch (mutation.type) {
+        case 'insert':
+        case 'replace':
+            return { ...mutation, documents: mutation.documents.map(transform) };
+        case 'update':
+            return { ...mutation, changes: mutation.changes.map(change => ({ ...change, document: transform(change.document) })) };
+        default:
+            return mutation;
+    }
+}
+
+// Numbers of documents a successful request wrote (or, for reads, returned),
+// taken from its result
+function affectedCounts(type, operation, data) {
+    if (type === 'Query') {
+        if (operation === 'insertOne') return { insertedCount: 1 };
+        if (Array.isArray(data)) {
+            return operation === 'insertMany' ? { insertedCount: data.length } : { returnedCount: data.length };
+        }
+        // Other reads return documents, whose fields aren't counts
+        if (!WRITE_OPERATIONS.includes(operation)) return undefined;
+    }
+    if (!isPlainObject(data)) return undefined;
+    const counts = {};
+    for (const [key, value] of Object.entries(data)) {
+        if (key.endsWith('Count') && Number.isFinite(value)) {
+            counts[key] = value;
+        }
+    }
+    return Object.keys(counts).length > 0 ? counts : undefined;
+}
+
+function addCounts(total, counts) {
+    for (const [key, value] of Object.entries(counts || {})) {
+        total[key] = (total[key] || 0) + value;
+    }
+    return total;
+}
+
+function createMetrics() {
+    const registry = new MetricsRegistry();
+    return {
+        registry,
+        requests: registry.counter('pyxicloud_requests_total', 'Requests answered, by request type, query operation and status', ['type', 'operation', 'status']),
+        requestDuration: registry.histogram('pyxicloud_request_duration_seconds', 'Time from receiving a request to answering it', ['type', 'operation']),
+        errors: registry.counter('pyxicloud_errors_total', 'Error responses by error code', ['code']),
+        connections: registry.gauge('pyxicloud_connections', 'Open WebSocket connections'),
+        sessions: registry.gauge('pyxicloud_sessions', 'Active sessions'),
+        collectionDocuments: registry.gauge('pyxicloud_collection_documents', 'Documents stored per collection', ['collection']),
+        lastBackup: registry.gauge('pyxicloud_last_backup_timestamp_seconds', 'Time the most recent backup was taken'),
+        uptime: registry.gauge('pyxicloud_uptime_seconds', 'Seconds since the server started')
+    };
+}
+
+function requestIdOf(event) {
+    return event && typeof event.requestId === 'string' ? event.requestId : undefined;
+}
+
+// Finds the requestId in a message that isn't valid JSON, so the client can
+// still tell which request failed
+function salvageRequestId(text) {
+    const match = text.match(/"requestId"\s*:\s*("(?:[^"\\]|\\.)*")/);
+    if (!match) return undefined;
+    try {
+        return JSON.parse(match[1]);
+    } catch (error) {
+        return undefined;
+    }
+}
 
 class PyxiCloudServer {
     constructor() {
+        this.startedAt = new Date();
+        this.httpServer = null;
+        this.monitoringServer = null;
+        this.gateway = null;
         this.wss = null;
         this.clients = new Set();
         this.heartbeatInterval = 30000;
         this.maxPayloadSize = 1024 * 1024;
-        this.rateLimiter = new Map();
+        this.rateLimiter = new RateLimiter({
+            ipLimit: config.ipRateLimit,
+            userLimit: config.userRateLimit,
+            authFailureLimit: config.authFailureLimit,
+            authFailureWindow: config.authFailureWindow,
+            authBanDuration: config.authBanDuration
+        });
+        this.rateLimitTimer = null;
+        this.accessLists = this.buildAccessLists(config);
+        this.tlsOptions = this.loadTlsOptions();
         this.schemas = new Map();
-        this.sessions = new Map();
+        this.schemaOptions = new Map();
+        this.schemaVersions = new Map();
+        this.indexes = new Map();
+        // collectionName -> number of stored documents, kept up to date by
+        // afterMutation once a collection has been counted
+        this.documentCounts = new Map();
+        this.regexCache = new Map();
+        this.collectionLocks = new Map();
+        this.sessions = new SessionStore({
+            filePath: path.join(dataDirectory, 'sessions.json'),
+            idleTimeout: config.sessionIdleTimeout,
+            maxAge: config.sessionMaxAge,
+            persist: config.persistSessions
+        });
+        this.sessionTimer = null;
+        this.users = new UserStore(path.join(dataDirectory, 'users.json'));
         this.backupInterval = null;
+        this.expiryTimer = null;
+        this.heartbeatTimer = null;
+        this.keyring = new Keyring(
+            config.encryptionKey || process.env.PYXICLOUD_ENCRYPTION_KEY,
+            config.previousEncryptionKeys.concat((process.env.PYXICLOUD_PREVIOUS_ENCRYPTION_KEYS || '').split(',').filter(Boolean))
+        );
+        if (config.encryptFiles && !this.keyring.enabled) {
+            throw new Error('encryptFiles needs config.encryptionKey or PYXICLOUD_ENCRYPTION_KEY');
+        }
+        this.fileCodec = this.keyring.fileCodec(config.encryptFiles);
+        this.storage = createStorageEngine(config.storageEngine, {
+            dataDirectory,
+            collectionsDirectory,
+            compactionInterval: config.compactionInterval,
+            compactionLogSize: config.compactionLogSize,
+            codec: this.fileCodec
+        });
+        if (!REPLICATION_ROLES.includes(config.replicationRole)) {
+            throw new Error(`replicationRole must be one of ${REPLICATION_ROLES.join(', ')}`);
+        }
+        this.replicationRole = config.replicationRole;
+        this.replicationState = new ReplicationState(path.join(dataDirectory, 'replication.json'));
+        this.replicationClient = null;
+        this.replicas = new Set();
+        // Replication streams the journal, so it is always kept when replicating
+        this.journal = config.mutationJournal || this.replicationRole !== 'standalone'
+            ? new MutationJournal({ filePath: path.join(dataDirectory, 'journal.log'), codec: this.fileCodec })
+            : null;
+        this.backups = new BackupManager({
+            directory: backupDirectory,
+            compress: config.backupCompression,
+            codec: this.fileCodec
+        });
+        this.hooks = new HookRegistry({ directory: config.hooksDirectory, timeout: config.hookTimeout });
+        this.audit = new AuditLog({ filePath: path.join(dataDirectory, 'audit.log'), mode: config.auditLog, codec: this.fileCodec });
+        this.metrics = createMetrics();
     }
 
-    start() {
+    async start() {
+        logger.configure({ level: config.logLevel });
+        this.openData();
+        this.audit.open();
+        this.hooks.start();
+        await this.users.open(config.credentials);
+        this.sessions.open();
+        this.sessionTimer = setInterval(() => this.endSessions(this.sessions.sweep()), SESSION_SWEEP_INTERVAL);
+        this.sessionTimer.unref();
+        this.rateLimitTimer = setInterval(() => this.rateLimiter.sweep(), RATE_LIMIT_SWEEP_INTERVAL);
+        this.rateLimitTimer.unref();
+
+        this.httpServer = this.tlsOptions
+            ? https.createServer(this.tlsOptions)
+            : http.createServer();
+        this.gateway = config.httpGateway ? new HttpGateway(this) : null;
+        this.httpServer.on('request', (req, res) => {
+            if (this.gateway) {
+                this.gateway.handle(req, res);
+                return;
+            }
+            res.writeHead(426, { 'Content-Type': 'text/plain' });
+            res.end('Upgrade Required');
+        });
         this.wss = new WebSocket.Server({ 
-            port: config.port,
+            server: this.httpServer,
             clientTracking: true,
             handleProtocols: () => 'pyxisdb-protocol',
             maxPayload: this.maxPayloadSize
@@ -43,549 +325,2904 @@ class PyxiCloudServer {
 
         this.wss.on('connection', this.handleConnection.bind(this));
 
-        console.log(`WebSocket server is running on ws://${config.serverIP}:${config.port}`);
+        await new Promise((resolve, reject) => {
+            this.httpServer.once('error', reject);
+            this.httpServer.listen(config.port, config.serverIP, () => {
+                this.httpServer.off('error', reject);
+                resolve();
+            });
+        });
+
+        logger.info('WebSocket server is running', { url: `${this.tlsOptions ? 'wss' : 'ws'}://${config.serverIP}:${config.port}` });
+
+        if (config.monitoringPort) {
+            await this.startMonitoring();
+        }
+        this.startBackupProcess();
+        this.startExpiryProcess();
+
+        if (this.replicationRole === 'follower') {
+            this.startFollowing();
+        }
+    }
+
+    // The collections, journal and schemas, without accepting connections;
+    // the command-line tool works on the data directory through this
+    openData() {
+        this.storage.open();
+        if (this.journal) {
+            this.journal.open();
+        }
+        this.replicationState.open();
+        if (this.replicationState.promoted) {
+            this.replicationRole = 'primary';
+        }
+        this.loadSchemas();
+    }
+
+    closeData() {
+        this.storage.close();
+        if (this.journal) {
+            this.journal.close();
+        }
+    }
+
+    stop() {
+        clearInterval(this.backupInterval);
+        clearInterval(this.expiryTimer);
+        clearInterval(this.heartbeatTimer);
+        clearInterval(this.sessionTimer);
+        clearInterval(this.rateLimitTimer);
+        this.hooks.stop();
+        this.sessions.flush();
+        if (this.replicationClient) {
+            this.replicationClient.stop();
+        }
+        this.clients.forEach(ws => ws.terminate());
+        if (this.wss) {
+            this.wss.close();
+        }
+        if (this.httpServer) {
+            this.httpServer.close();
+        }
+        if (this.monitoringServer) {
+            this.monitoringServer.close();
+        }
+        this.audit.close();
+        this.closeData();
+    }
+
+    loadSchemas() {
+        fs.readdirSync(schemaDirectory)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                const collectionName = path.basename(file, '.json');
+                try {
+                    const stored = JSON.parse(fs.readFileSync(path.join(schemaDirectory, file), 'utf-8'));
+                    const { fields, options, version } = this.parseStoredSchema(stored);
+                    this.schemas.set(collectionName, fields);
+                    this.schemaOptions.set(collectionName, options);
+                    this.schemaVersions.set(collectionName, version);
+                } catch (error) {
+                    logger.error('Failed to load schema', { collectionName, error });
+                }
+            });
+        logger.info('Loaded schemas', { count: this.schemas.size });
+    }
+
+    // Older schema files hold the bare field definitions
+    parseStoredSchema(stored) {
+        const isWrapped = stored.fields !== null && typeof stored.fields === 'object' &&
+            Object.keys(stored).every(key => ['version', 'updatedAt', 'options', 'fields'].includes(key));
+        if (!isWrapped) {
+            return { fields: stored, options: {}, version: 1 };
+        }
+        return { fields: stored.fields, options: stored.options || {}, version: stored.version || 1 };
+    }
+
+    startBackupProcess() {
+        this.backupInterval = setInterval(() => {
+            this.createBackup()
+                .then(() => this.cleanupOldBackups())
+                .catch(error => logger.error('Scheduled backup failed', { error }));
+        }, config.backupInterval);
+    }
+
+    // Followers leave expiry to the primary and receive its deletes through
+    // replication
+    startExpiryProcess() {
+        this.expiryTimer = setInterval(() => {
+            if (this.replicationRole === 'follower') return;
+            this.purgeExpiredDocuments()
+                .catch(error => logger.error('Expiry sweep failed', { error }));
+        }, config.ttlSweepInterval);
+        this.expiryTimer.unref();
+    }
+
+    // Deletes the expired documents of every collection with a ttl option,
+    // one collection lock at a time. Returns how many were deleted.
+    async purgeExpiredDocuments(now = Date.now()) {
+        let deletedCount = 0;
+        for (const collectionName of [...this.schemaOptions.keys()]) {
+            deletedCount += await this.withCollectionLocks([collectionName], () => {
+                const { ttl } = this.schemaOptions.get(collectionName) || {};
+                if (!ttl) return 0;
+                const collection = this.readCollection(collectionName);
+                const indexes = [...collection.keys()].filter(index => isExpired(collection[index], ttl, now));
+                if (indexes.length > 0) {
+                    this.applyMutation(collectionName, {
+                        type: 'delete',
+                        indexes,
+                        documents: indexes.map(index => collection[index])
+                    });
+                }
+                return indexes.length;
+            });
+        }
+        return deletedCount;
+    }
+
+    // collections: names to back up, or undefined for everything. The
+    // collections are locked so the backup matches the journal position it
+    // records exactly.
+    async createBackup(collections) {
+        const collectionNames = collections || [...new Set([...this.storage.list(), ...this.schemas.keys()])];
+        return this.withCollectionLocks(collectionNames, () => {
+            // Make sure the collection files reflect every acknowledged write
+            this.storage.flush();
+            const manifest = this.backups.create({
+                collectionsDirectory,
+                schemaDirectory,
+                collections: collections || null,
+                journalSeq: this.journal ? this.journal.seq : null
+            });
+            logger.info('Backup created', { backupId: manifest.id });
+            return manifest;
+        });
+    }
+
+    // The journal is only kept as far back as the oldest backup it can be
+    // replayed on
+    cleanupOldBackups() {
+        this.backups.cleanup(config.backupRetentionDays).forEach(id => logger.info('Old backup removed', { backupId: id }));
+
+        const journalSeqs = this.backups.list()
+            .map(manifest => manifest.journalSeq)
+            .filter(seq => typeof seq === 'number');
+        if (this.journal && journalSeqs.length > 0) {
+            this.journal.trim(Math.min(...journalSeqs));
+        }
+    }
+
+    async handleCreateBackup(data, ws, requestId) {
+        try {
+            const { collections } = data;
+            if (collections !== undefined && (!Array.isArray(collections) || !collections.every(name => typeof name === 'string'))) {
+                throw new Error('collections must be an array of collection names');
+            }
+            const { files, ...summary } = await this.createBackup(collections);
+            this.sendSuccess(ws, summary, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to create backup');
+        }
+    }
+
+    listBackups(ws, requestId) {
+        const backups = this.backups.list().map(({ files, ...summary }) => ({
+            ...summary,
+            size: Object.values(files).reduce((total, file) => total + file.size, 0)
+        }));
+        this.sendSuccess(ws, backups, requestId);
+    }
+
+    // Restores a backup, optionally only some collections. With pointInTime
+    // the journal is replayed on top of the backup up to that moment; without
+    // a backupId the latest backup before it is used.
+    async restoreBackup(data, ws, requestId) {
+        try {
+            const { backupId, collections, pointInTime } = data;
+            if (collections !== undefined && (!Array.isArray(collections) || !collections.every(name => typeof name === 'string'))) {
+                throw new Error('collections must be an array of collection names');
+            }
+            let until = null;
+            if (pointInTime !== undefined) {
+                until = Date.parse(pointInTime);
+                if (Number.isNaN(until)) {
+                    throw new Error('pointInTime must be a date');
+                }
+                if (!this.journal) {
+                    throw new Error('Point-in-time recovery needs config.mutationJournal');
+                }
+            }
+
+            const manifest = backupId !== undefined
+                ? this.backups.get(backupId)
+                : this.findRestoreBase(until, collections);
+            if (manifest.partial && collections === undefined) {
+                throw new Error(`Backup "${manifest.id}" only holds some collections; pass the collections to restore`);
+            }
+            if (manifest.partial && !collections.every(name => manifest.collections.includes(name) || manifest.schemas.includes(name))) {
+                throw new Error(`Backup "${manifest.id}" does not hold every requested collection`);
+            }
+            if (until !== null && (manifest.journalSeq === null || Date.parse(manifest.createdAt) > until)) {
+                throw new Error(`Backup "${manifest.id}" cannot be rolled forward to ${pointInTime}`);
+            }
+
+            // Checksums are verified while loading, before anything is replaced
+            const state = this.backups.read(manifest.id, collections || null);
+            if (manifest.legacy) {
+                // Older backups have no schemas; the current ones are kept
+                state.schemas = null;
+            }
+            this.decryptState(state);
+            const journaled = until === null ? [] : this.journal.entries({ afterSeq: manifest.journalSeq, until })
+                .flatMap(entry => entry.batch ? entry.batch.map(({ collection }) => collection) : [entry.collection]);
+            const scope = collections || [...new Set([
+                ...manifest.collections,
+                ...manifest.schemas,
+                ...journaled,
+                ...this.storage.list(),
+                ...this.schemas.keys()
+            ])];
+
+            const restored = await this.withCollectionLocks(scope, () => {
+                if (until !== null) {
+                    this.replayJournal(state, scope, manifest.journalSeq, until);
+                }
+                return this.applyRestoredState(scope, state);
+            });
+            this.sendSuccess(ws, { backupId: manifest.id, pointInTime: pointInTime || null, collections: restored }, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to restore backup');
+        }
+    }
+
+    // Latest backup taken before until (or at all) that holds the collections
+    findRestoreBase(until, collections) {
+        const candidates = this.backups.list().filter(manifest => {
+            if (until !== null && (manifest.journalSeq === null || Date.parse(manifest.createdAt) > until)) {
+                return false;
+            }
+            if (collections === undefined) {
+                return !manifest.partial;
+            }
+            return !manifest.partial || collections.every(name => manifest.collections.includes(name) || manifest.schemas.includes(name));
+        });
+        if (candidates.length === 0) {
+            throw new PyxiCloudError('NOT_FOUND', 'No suitable backup found', { resource: 'backup' });
+        }
+        return candidates[candidates.length - 1];
+    }
+
+    // Applies the journal entries after afterSeq up to until to a loaded backup
+    replayJournal(state, scope, afterSeq, until) {
+        for (const entry of this.journal.entries({ afterSeq, until })) {
+            if (entry.batch) {
+                for (const { collection, mutation } of entry.batch) {
+                    if (!scope.includes(collection)) continue;
+                    const fields = this.stateEncryptedFields(state, collection);
+                    const plain = mapMutationDocuments(mutation, doc => this.keyring.decryptDocument(doc, fields));
+                    const documents = applyToCollection(state.collections[collection] || [], plain);
+                    if (documents === null) {
+                        delete state.collections[collection];
+                    } else {
+                        state.collections[collection] = documents;
+                    }
+                }
+            } else if (scope.includes(entry.collection)) {
+                if (entry.schema === null) {
+                    delete state.schemas[entry.collection];
+                } else {
+                    state.schemas[entry.collection] = entry.schema;
+                }
+            }
+        }
+    }
+
+    // Decrypts the collections of a backup or snapshot as their own schemas
+    // say; legacy backups without schemas use the current ones
+    decryptState(state) {
+        for (const [collectionName, documents] of Object.entries(state.collections)) {
+            const fields = this.stateEncryptedFields(state, collectionName);
+            state.collections[collectionName] = documents.map(doc => this.keyring.decryptDocument(doc, fields));
+        }
+    }
+
+    stateEncryptedFields(state, collectionName) {
+        if (state.schemas === null) {
+            return this.encryptedFields(collectionName);
+        }
+        return this.storedEncryptedFields(state.schemas[collectionName]);
+    }
+
+    // Replaces the schemas and data of every collection in scope with the
+    // decrypted state. Collections missing from state are dropped. The data is written as one
+    // batch, and goes through applyMutations so indexes, subscribers and the
+    // journal see the restore like any other change.
+    applyRestoredState(scope, state) {
+        for (const collectionName of scope) {
+            if (state.schemas !== null && state.schemas[collectionName]) {
+                this.storeSchema(collectionName, state.schemas[collectionName]);
+            } else if (state.schemas !== null && this.schemas.has(collectionName)) {
+                this.removeSchema(collectionName);
+            }
+            this.indexes.delete(collectionName);
+        }
+
+        const existing = this.storage.list();
+        const entries = [];
+        const restored = [];
+        for (const collectionName of scope) {
+            if (state.collections[collectionName]) {
+                const documents = state.collections[collectionName];
+                entries.push({ collectionName, mutation: { type: 'replace', documents } });
+                restored.push({ collectionName, documentCount: documents.length });
+            } else if (existing.includes(collectionName)) {
+                entries.push({ collectionName, mutation: { type: 'drop', documents: this.readCollection(collectionName) } });
+                restored.push({ collectionName, documentCount: 0 });
+            }
+        }
+        this.applyMutations(entries);
+        return restored;
+    }
+
+    // Certificate and key for wss://, and the CA client certificates are
+    // checked against when they are requested
+    loadTlsOptions() {
+        if (!config.tlsCert && !config.tlsKey) {
+            if (config.tlsClientCertificates !== 'off') {
+                throw new Error('tlsClientCertificates needs tlsCert and tlsKey');
+            }
+            return null;
+        }
+        if (!config.tlsCert || !config.tlsKey) {
+            throw new Error('TLS needs both tlsCert and tlsKey');
+        }
+        if (!CLIENT_CERTIFICATE_MODES.includes(config.tlsClientCertificates)) {
+            throw new Error(`tlsClientCertificates must be one of ${CLIENT_CERTIFICATE_MODES.join(', ')}`);
+        }
+        const requestCert = config.tlsClientCertificates !== 'off';
+        if (requestCert && !config.tlsCa) {
+            throw new Error('Client certificates need tlsCa');
+        }
+        return {
+            cert: fs.readFileSync(config.tlsCert),
+            key: fs.readFileSync(config.tlsKey),
+            ca: config.tlsCa ? fs.readFileSync(config.tlsCa) : undefined,
+            requestCert,
+            rejectUnauthorized: config.tlsClientCertificates === 'required'
+        };
+    }
+
+    buildAccessLists(settings) {
+        return {
+            whitelist: settings.ipWhitelist ? new IPList(settings.whitelistedIps) : null,
+            blacklist: settings.ipBlacklist ? new IPList(settings.blacklistedIps) : null,
+            trustedProxies: new IPList(settings.trustedProxies || [])
+        };
+    }
+
+    // Rereads the IP lists from config.js. Connections the new lists deny
+    // are closed. An invalid config.js leaves the current lists in place.
+    reloadAccessLists() {
+        const configPath = require.resolve('./config');
+        delete require.cache[configPath];
+        const settings = require(configPath);
+        const accessLists = this.buildAccessLists(settings);
+
+        ['ipWhitelist', 'whitelistedIps', 'ipBlacklist', 'blacklistedIps', 'trustedProxies']
+            .forEach(key => { config[key] = settings[key]; });
+        this.accessLists = accessLists;
+
+        let disconnected = 0;
+        this.clients.forEach(client => {
+            if (this.ipListDenial(client.clientIP)) {
+                client.close();
+                disconnected++;
+            }
+        });
+        logger.info('Reloaded IP access lists', { disconnected });
+        return { disconnected };
+    }
+
+    handleReloadAccessLists(ws, requestId) {
+        try {
+            this.sendSuccess(ws, this.reloadAccessLists(), requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to reload access lists');
+        }
+    }
+
+    // Hooks also reload by themselves when their files change
+    handleReloadHooks(ws, requestId) {
+        try {
+            if (!this.hooks.enabled) {
+                throw new PyxiCloudError('BAD_REQUEST', 'No hooks directory is configured');
+            }
+            this.sendSuccess(ws, this.hooks.load(), requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to reload hooks');
+        }
+    }
+
+    // What a request is about, kept until its response is sent to time it
+    // and to record it in the metrics and the audit log
+    beginRequest(event, ws) {
+        const data = isPlainObject(event.data) ? event.data : {};
+        const isQuery = event.type === 'Query';
+        const entry = {
+            type: REQUEST_TYPES.includes(event.type) ? event.type : 'unknown',
+            // Known before the request runs, as Logout ends the session
+            user: ws.username || (event.type === 'Authenticate' && typeof data.username === 'string' ? data.username : undefined),
+            collectionName: typeof data.collectionName === 'string' ? data.collectionName : undefined,
+            operation: isQuery && QUERY_OPERATIONS.includes(data.operation) ? data.operation : undefined,
+            query: isPlainObject(data.query) ? data.query : undefined,
+            id: isQuery ? data.id : undefined,
+            // The account a user management request is about
+            target: event.type !== 'Authenticate' && typeof data.username === 'string' ? data.username : undefined,
+            started: process.hrtime.bigint()
+        };
+        if (event.type === 'Commit' && ws.transaction) {
+            entry.operations = ws.transaction.operations.map(({ collectionName, operation, params }) => ({
+                collectionName,
+                operation,
+                query: params.query
+            }));
+        }
+        ws.activeRequests.set(event.requestId, entry);
+    }
+
+    finishRequest(ws, requestId, { status, code, data }) {
+        if (code) {
+            this.metrics.errors.inc({ code });
+        }
+        const entry = ws.activeRequests && ws.activeRequests.get(requestId);
+        if (!entry) return;
+        ws.activeRequests.delete(requestId);
+
+        const { started, operations, ...request } = entry;
+        const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+        const operation = request.operation || '';
+        this.metrics.requests.inc({ type: request.type, operation, status });
+        this.metrics.requestDuration.observe({ type: request.type, operation }, seconds);
+        logger.debug('Request finished', { type: request.type, requestId, status, code, durationMs: seconds * 1000 });
+
+        const isRead = request.type === 'Query' ? !WRITE_OPERATIONS.includes(request.operation) : READ_REQUESTS.includes(request.type);
+        if (!this.audit.shouldRecord(isRead)) return;
+        let counts;
+        if (status === 'success' && !(data && data.queued)) {
+            counts = operations && data && Array.isArray(data.results)
+                ? data.results.reduce((total, result, i) => addCounts(total, affectedCounts('Query', operations[i].operation, result)), {})
+                : affectedCounts(request.type, request.operation, data);
+        }
+        try {
+            this.audit.record({
+                ...request,
+                user: request.user || ws.username,
+                ip: ws.clientIP,
+                sessionId: ws.sessionId,
+                operations,
+                status,
+                code,
+                counts,
+                queued: data && data.queued,
+                durationMs: Math.round(seconds * 1e6) / 1000
+            });
+        } catch (error) {
+            logger.error('Failed to write audit log', { error });
+        }
+    }
+
+    handleServerStatus(ws, requestId) {
+        try {
+            this.sendSuccess(ws, this.serverStatus(), requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to get server status');
+        }
+    }
+
+    serverStatus() {
+        const backups = this.backups.list();
+        const { rss, heapUsed, heapTotal } = process.memoryUsage();
+        return {
+            server: {
+                name: 'PyxiCloud',
+                version: SERVER_VERSION,
+                pid: process.pid,
+                startedAt: this.startedAt.toISOString(),
+                uptime: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+                storageEngine: config.storageEngine
+            },
+            connections: this.clients.size,
+            sessions: this.sessions.list().length,
+            requests: {
+                total: this.metrics.requests.total(),
+                errors: this.metrics.requests.total({ status: 'error' })
+            },
+            collections: [...this.schemas.keys()].sort().map(collectionName => ({
+                collectionName,
+                documents: this.documentCount(collectionName)
+            })),
+            lastBackupAt: backups.length > 0 ? backups[backups.length - 1].createdAt : null,
+            replication: this.replicationSummary(),
+            hooks: this.hooks.enabled,
+            audit: this.audit.mode,
+            memory: { rss, heapUsed, heapTotal }
+        };
+    }
+
+    // Degraded, with the problems, when a follower lost its primary or the
+    // data directory can't be written to
+    health() {
+        const problems = [];
+        if (this.replicationRole === 'follower' && !(this.replicationClient && this.replicationClient.connected)) {
+            problems.push('Not connected to the replication primary');
+        }
+        try {
+            fs.accessSync(dataDirectory, fs.constants.W_OK);
+        } catch (error) {
+            problems.push('The data directory is not writable');
+        }
+        return {
+            status: problems.length > 0 ? 'degraded' : 'ok',
+            version: SERVER_VERSION,
+            uptime: Math.round((Date.now() - this.startedAt.getTime()) / 1000),
+            replicationRole: this.replicationRole,
+            problems
+        };
+    }
+
+    renderMetrics() {
+        const status = this.serverStatus();
+        const { metrics } = this;
+        metrics.uptime.set({}, status.server.uptime);
+        metrics.connections.set({}, status.connections);
+        metrics.sessions.set({}, status.sessions);
+        metrics.collectionDocuments.reset();
+        status.collections.forEach(({ collectionName, documents }) => {
+            metrics.collectionDocuments.set({ collection: collectionName }, documents);
+        });
+        metrics.lastBackup.reset();
+        if (status.lastBackupAt) {
+            metrics.lastBackup.set({}, Date.parse(status.lastBackupAt) / 1000);
+        }
+        return metrics.registry.render();
+    }
+
+    // GET /metrics and GET /health on their own plain HTTP listener, so
+    // they can stay on an internal interface without authentication
+    async startMonitoring() {
+        this.monitoringServer = http.createServer((req, res) => this.handleMonitoringRequest(req, res));
+        await new Promise((resolve, reject) => {
+            this.monitoringServer.once('error', reject);
+            this.monitoringServer.listen(config.monitoringPort, config.monitoringHost, () => {
+                this.monitoringServer.off('error', reject);
+                resolve();
+            });
+        });
+        logger.info('Monitoring endpoint is running', { url: `http://${config.monitoringHost}:${config.monitoringPort}` });
+    }
+
+    handleMonitoringRequest(req, res) {
+        const { pathname } = new URL(req.url, 'http://localhost');
+        try {
+            if (req.method !== 'GET') {
+                res.writeHead(405, { Allow: 'GET', 'Content-Type': 'text/plain' });
+                res.end('Method Not Allowed');
+            } else if (pathname === '/metrics') {
+                const body = this.renderMetrics();
+                res.writeHead(200, { 'Content-Type': 'text/plain; version=0.0.4; charset=utf-8' });
+                res.end(body);
+            } else if (pathname === '/health') {
+                const health = this.health();
+                res.writeHead(health.status === 'ok' ? 200 : 503, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(health));
+            } else {
+                res.writeHead(404, { 'Content-Type': 'text/plain' });
+                res.end('Not Found');
+            }
+        } catch (error) {
+            logger.error('Monitoring request failed', { path: pathname, error });
+            res.writeHead(500, { 'Content-Type': 'text/plain' });
+            res.end('Internal Server Error');
+        }
+    }
+
+    // User named by the common name of a client certificate signed by tlsCa
+    certificateUser(req) {
+        if (!req.socket.encrypted || !req.socket.authorized) {
+            return null;
+        }
+        const { subject } = req.socket.getPeerCertificate();
+        return subject && subject.CN ? subject.CN : null;
+    }
+
+    handleConnection(ws, req) {
+        const clientIP = clientAddress(req, this.accessLists.trustedProxies);
+        logger.info('Client connected', { ip: clientIP });
+
+        if (this.checkAccessDenied(clientIP, ws)) {
+            return;
+        }
+
+        ws.binaryType = 'arraybuffer';
+        ws.clientIP = clientIP;
+        ws.certificateUser = this.certificateUser(req);
+        ws.isAlive = true;
+        ws.isAuthenticated = false;
+        ws.sessionToken = null;
+        ws.sessionId = null;
+        ws.username = null;
+        ws.subscriptions = new Map();
+        ws.transaction = null;
+        ws.activeRequests = new Map();
+
+        this.clients.add(ws);
+
+        ws.on('pong', () => {
+            ws.isAlive = true;
+            logger.debug('Received pong', { ip: clientIP });
+        });
+
+        ws.on('message', async (message) => {
+            const text = message.toString();
+            let event;
+            try {
+                event = JSON.parse(text);
+            } catch (error) {
+                event = null;
+            }
+
+            if (!this.checkRateLimit(ws, event)) {
+                return;
+            }
+        
+            try {
+                if (event === null) {
+                    this.sendError(ws, new PyxiCloudError('INVALID_MESSAGE', 'Invalid message format: not JSON'), salvageRequestId(text));
+                    return;
+                }
+                await this.processEvent(event, ws);
+            } catch (error) {
+                logger.error('Error processing message', { ip: clientIP, error });
+                this.sendError(ws, new PyxiCloudError('INTERNAL_ERROR', 'Failed to process message'), requestIdOf(event));
+            }
+        });
+
+        ws.on('close', () => {
+            logger.info('Client disconnected', { ip: clientIP, user: ws.username });
+            ws.subscriptions.clear();
+            ws.transaction = null;
+            this.replicas.delete(ws);
+            this.clients.delete(ws);
+        });
+
+        ws.on('error', (error) => {
+            logger.warn('WebSocket error', { ip: clientIP, error });
+            ws.subscriptions.clear();
+            ws.transaction = null;
+            this.replicas.delete(ws);
+            this.clients.delete(ws);
+        });
+    }
+
+    // Runs a parsed, rate-limited event for a WebSocket connection or an
+    // HTTP gateway request
+    async processEvent(event, ws) {
+        if (!this.validateEvent(event)) {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid event format: type and requestId must be strings and data must be an object'), requestIdOf(event));
+            return;
+        }
+        this.beginRequest(event, ws);
+
+        if (event.protocolVersion !== undefined && !PROTOCOL_VERSIONS.includes(event.protocolVersion)) {
+            this.sendError(ws, new PyxiCloudError('UNSUPPORTED_PROTOCOL_VERSION', `Protocol version ${event.protocolVersion} is not supported`, {
+                supported: PROTOCOL_VERSIONS
+            }), event.requestId);
+            return;
+        }
+
+        if (event.type === 'Hello') {
+            this.hello(event.data, ws, event.requestId);
+            return;
+        }
+
+        if (event.type === 'Authenticate') {
+            await this.handleAuthentication(event.data, ws, event.requestId);
+            return;
+        }
+
+        if (!ws.isAuthenticated) {
+            this.sendError(ws, new PyxiCloudError('NOT_AUTHENTICATED', 'Not authenticated'), event.requestId);
+            return;
+        }
+
+        if (!this.sessions.touch(ws.sessionToken)) {
+            this.clearAuthentication(ws);
+            this.sendError(ws, new PyxiCloudError('SESSION_EXPIRED', 'Session expired'), event.requestId);
+            return;
+        }
+
+        await this.handleRequest(event, ws);
+    }
+
+    // Optional handshake: agrees on a protocol version and tells the client
+    // what this server can do. Works before authentication.
+    hello(data, ws, requestId) {
+        const offered = Array.isArray(data.protocolVersions)
+            ? data.protocolVersions
+            : [data.protocolVersion === undefined ? PROTOCOL_VERSIONS[0] : data.protocolVersion];
+        const common = PROTOCOL_VERSIONS.filter(version => offered.includes(version));
+        if (common.length === 0) {
+            this.sendError(ws, new PyxiCloudError('UNSUPPORTED_PROTOCOL_VERSION', 'No protocol version in common', {
+                supported: PROTOCOL_VERSIONS
+            }), requestId);
+            return;
+        }
+        ws.protocolVersion = Math.max(...common);
+
+        const capabilities = ['transactions', 'subscriptions', 'aggregation', 'indexes', 'migrations', 'backups', 'sessions'];
+        if (this.keyring.enabled) capabilities.push('encryption');
+        capabilities.push('ttl');
+        if (this.journal) capabilities.push('pointInTimeRestore');
+        if (this.replicationRole !== 'standalone') capabilities.push('replication');
+        if (this.gateway) capabilities.push('httpGateway');
+        if (this.hooks.enabled) capabilities.push('hooks');
+        if (this.tlsOptions && this.tlsOptions.requestCert) capabilities.push('certificateAuthentication');
+
+        this.sendSuccess(ws, {
+            protocolVersion: ws.protocolVersion,
+            server: { name: 'PyxiCloud', version: SERVER_VERSION, replicationRole: this.replicationRole },
+            capabilities,
+            operations: QUERY_OPERATIONS,
+            limits: {
+                maxPayloadSize: this.maxPayloadSize,
+                maxTransactionOperations: config.maxTransactionOperations
+            },
+            authenticated: ws.isAuthenticated
+        }, requestId);
+    }
+
+    ipListDenial(clientIP) {
+        const { whitelist, blacklist } = this.accessLists;
+        if (whitelist && !whitelist.has(clientIP)) {
+            return 'Access denied. IP not in whitelist.';
+        }
+        if (blacklist && blacklist.has(clientIP)) {
+            return 'Access denied. IP in blacklist.';
+        }
+        return null;
+    }
+
+    checkAccessDenied(clientIP, ws) {
+        const error = this.connectionDenial(clientIP);
+        if (error) {
+            this.sendError(ws, error);
+            // 1013: try again later
+            ws.close(error.code === 'TOO_MANY_CONNECTIONS' ? 1013 : undefined);
+            return true;
+        }
+        return false;
+    }
+
+    // IP lists and login bans, for connections and gateway requests
+    accessDenial(clientIP) {
+        const denial = this.ipListDenial(clientIP);
+        if (denial) {
+            return new PyxiCloudError('ACCESS_DENIED', denial);
+        }
+        const banTimeLeft = this.rateLimiter.banTimeLeft(clientIP);
+        if (banTimeLeft > 0) {
+            return new PyxiCloudError('ACCESS_DENIED', 'Access denied. IP temporarily banned after repeated failed logins.', {
+                retryAfter: banTimeLeft
+            });
+        }
+        return null;
+    }
+
+    connectionDenial(clientIP) {
+        const denial = this.accessDenial(clientIP);
+        if (denial) {
+            return denial;
+        }
+        if (this.clients.size >= config.maxConnections) {
+            return new PyxiCloudError('TOO_MANY_CONNECTIONS', 'Too many connections. Please try again later.', {
+                limit: config.maxConnections
+            });
+        }
+        const connectionsFromIP = [...this.clients].filter(client => client.clientIP === clientIP).length;
+        if (connectionsFromIP >= config.maxConnectionsPerIp) {
+            return new PyxiCloudError('TOO_MANY_CONNECTIONS', 'Too many connections from this IP. Please try again later.', {
+                limit: config.maxConnectionsPerIp
+            });
+        }
+        return null;
+    }
+
+    // Charges the request to the buckets of the connection's IP and user.
+    // Writes and administration cost more than reads, see config.requestCosts.
+    checkRateLimit(ws, event) {
+        const retryAfter = this.rateLimiter.consume({ ip: ws.clientIP, username: ws.username }, this.requestCost(event));
+        if (retryAfter === 0) {
+            return true;
+        }
+        this.sendError(ws, new PyxiCloudError('RATE_LIMITED', 'Rate limit exceeded. Please try again later.', {
+            retryAfter: Number.isFinite(retryAfter) ? retryAfter : null
+        }), requestIdOf(event));
+        return false;
+    }
+
+    requestCost(event) {
+        const costs = config.requestCosts;
+        if (!event || typeof event !== 'object') {
+            return costs.read;
+        }
+        if (event.type === 'Authenticate') {
+            return costs.authenticate;
+        }
+        if (event.type === 'Query') {
+            return event.data && WRITE_OPERATIONS.includes(event.data.operation) ? costs.write : costs.read;
+        }
+        if (event.type === 'Commit' || event.type === 'ImportDocuments') {
+            return costs.write;
+        }
+        if (ADMINISTRATOR_REQUESTS.includes(event.type) || REQUEST_ROLES[event.type] === 'admin') {
+            return costs.admin;
+        }
+        return costs.read;
+    }
+
+    // Bans the IP after config.authFailureLimit failures within
+    // config.authFailureWindow and disconnects it
+    recordAuthFailure(ws) {
+        if (!this.rateLimiter.recordAuthFailure(ws.clientIP)) {
+            return;
+        }
+        logger.warn('Banned IP after repeated failed logins', { ip: ws.clientIP, durationMs: config.authBanDuration });
+        this.clients.forEach(client => {
+            if (client.clientIP === ws.clientIP) {
+                client.close();
+            }
+        });
+    }
+
+    validateEvent(event) {
+        return (
+            event &&
+            typeof event === 'object' &&
+            typeof event.type === 'string' &&
+            typeof event.requestId === 'string' &&
+            isPlainObject(event.data)
+        );
+    }
+
+    startHeartbeat() {
+        this.heartbeatTimer = setInterval(() => {
+            this.clients.forEach(ws => {
+                if (ws.isAlive === false) {
+                    this.clients.delete(ws);
+                    return ws.terminate();
+                }
+                
+                ws.isAlive = false;
+                ws.ping('', false, (error) => {
+                    if (error) logger.warn('Ping failed', { ip: ws.clientIP, error });
+                });
+            });
+        }, this.heartbeatInterval);
+    }
+
+    async handleAuthentication(data, ws, requestId) {
+        const { username, password, sessionToken, certificate } = data;
+
+        if (sessionToken !== undefined) {
+            this.resumeSession(sessionToken, ws, requestId);
+            return;
+        }
+
+        if (certificate === true) {
+            this.certificateLogin(ws, requestId);
+            return;
+        }
+        
+        if (!username || !password) {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Missing credentials'), requestId);
+            return;
+        }
+
+        if (!(await this.users.authenticate(username, password))) {
+            this.sendError(ws, new PyxiCloudError('INVALID_CREDENTIALS', 'Invalid credentials'), requestId);
+            this.recordAuthFailure(ws);
+            return;
+        }
+
+        this.startSession(ws, this.sessions.create(username), requestId);
+    }
+
+    // Logs in as the user the connection's client certificate names
+    certificateLogin(ws, requestId) {
+        if (!ws.certificateUser || !this.users.has(ws.certificateUser)) {
+            this.sendError(ws, new PyxiCloudError('INVALID_CREDENTIALS', 'No valid client certificate for a known user'), requestId);
+            this.recordAuthFailure(ws);
+            return;
+        }
+        this.startSession(ws, this.sessions.create(ws.certificateUser), requestId);
+    }
+
+    // Lets a reconnecting client skip the password
+    resumeSession(sessionToken, ws, requestId) {
+        const session = typeof sessionToken === 'string' ? this.sessions.touch(sessionToken) : null;
+        if (!session || !this.users.has(session.username)) {
+            this.sendError(ws, new PyxiCloudError('INVALID_CREDENTIALS', 'Invalid or expired session'), requestId);
+            this.recordAuthFailure(ws);
+            return;
+        }
+        this.startSession(ws, sessionToken, requestId, true);
+    }
+
+    startSession(ws, sessionToken, requestId, resumed = false) {
+        const session = this.sessions.get(sessionToken);
+
+        ws.sessionToken = sessionToken;
+        ws.sessionId = session.id;
+        ws.username = session.username;
+        ws.isAuthenticated = true;
+        this.rateLimiter.clearAuthFailures(ws.clientIP);
+
+        const { roles } = this.users.describe(session.username);
+        this.sendSuccess(ws, { sessionToken, username: session.username, roles, resumed }, requestId);
+    }
+
+    clearAuthentication(ws) {
+        ws.sessionToken = null;
+        ws.sessionId = null;
+        ws.username = null;
+        ws.isAuthenticated = false;
+        ws.subscriptions.clear();
+        ws.transaction = null;
+        // A follower reconnects and logs in again, then catches up from the log
+        if (this.replicas.delete(ws)) {
+            ws.close();
+        }
+    }
+
+    // Drops the authentication of every connection using one of sessionIds
+    endSessions(sessionIds) {
+        if (sessionIds.length === 0) return;
+        this.clients.forEach(client => {
+            if (sessionIds.includes(client.sessionId)) {
+                this.clearAuthentication(client);
+            }
+        });
+    }
+
+    logout(ws, requestId) {
+        const { sessionId } = ws;
+        this.sessions.delete(ws.sessionToken);
+        this.endSessions([sessionId]);
+        this.sendSuccess(ws, 'Logged out', requestId);
+    }
+
+    listSessions(ws, requestId) {
+        const sessions = this.sessions.list().map(session => ({
+            ...session,
+            connections: [...this.clients].filter(client => client.sessionId === session.id).length
+        }));
+        this.sendSuccess(ws, sessions, requestId);
+    }
+
+    // Revokes one session by id, or every session of a user
+    revokeSession(data, ws, requestId) {
+        const { sessionId, username } = data;
+        let revoked;
+        if (typeof sessionId === 'string') {
+            revoked = this.sessions.deleteWhere(session => session.id === sessionId);
+            if (revoked.length === 0) {
+                this.sendError(ws, new PyxiCloudError('NOT_FOUND', `Session "${sessionId}" not found`, { resource: 'session', name: sessionId }), requestId);
+                return;
+            }
+        } else if (typeof username === 'string') {
+            revoked = this.sessions.deleteWhere(session => session.username === username);
+        } else {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid revoke data: pass a sessionId or a username'), requestId);
+            return;
+        }
+        this.endSessions(revoked);
+        this.sendSuccess(ws, { revoked }, requestId);
+    }
+
+    // AES-256-GCM; values written by the older AES-256-CBC format still decrypt
+    encrypt(data, key) {
+        return encrypt(data, key);
+    }
+
+    decrypt(data, key) {
+        return decrypt(data, key);
+    }
+
+    encryptedFields(collectionName, schema = this.schemas.get(collectionName) || {}) {
+        return Object.keys(schema).filter(field => schema[field] && schema[field].encrypted);
+    }
+
+    // Encrypted fields of a schema file as stored, or none without one
+    storedEncryptedFields(stored) {
+        return stored ? this.encryptedFields(null, this.parseStoredSchema(stored).fields) : [];
+    }
+
+    checkEncryptionAvailable(schemaDefinition) {
+        if (this.encryptedFields(null, schemaDefinition).length > 0 && !this.keyring.enabled) {
+            throw new Error('Encrypted fields need config.encryptionKey or PYXICLOUD_ENCRYPTION_KEY');
+        }
+    }
+
+    // Rewrites collections in storage from their decrypted contents, so they
+    // end up encrypted with the current key and the current schema's fields.
+    // storedFields are the fields the stored documents are encrypted with,
+    // when the schema has just changed them.
+    rewriteCollections(collectionNames, storedFields) {
+        const entries = collectionNames
+            .filter(collectionName => this.storage.list().includes(collectionName))
+            .map(collectionName => ({
+                collection: collectionName,
+                mutation: this.toStorageMutation(collectionName, {
+                    type: 'replace',
+                    documents: this.readCollection(collectionName, storedFields)
+                })
+            }));
+        if (entries.length > 0) {
+            this.storage.applyBatch(entries);
+        }
+    }
+
+    // Re-encrypts every collection and backup with the current key. Afterwards
+    // the previous keys are no longer needed.
+    async rotateEncryptionKey(ws, requestId) {
+        try {
+            if (!this.keyring.enabled) {
+                throw new Error('No encryption key configured');
+            }
+            const collectionNames = this.storage.list();
+            const backupFiles = await this.withCollectionLocks(collectionNames, () => {
+                // An unreadable backup stops the rotation before anything is rewritten
+                this.backups.list().forEach(manifest => this.backups.read(manifest.id));
+                this.rewriteCollections(collectionNames);
+                this.storage.flush();
+                if (this.journal) {
+                    this.journal.rewrite(entries => this.rotateJournalEntries(entries));
+                }
+                return this.backups.rewriteCollections((documents, manifest, name) => {
+                    const fields = manifest.legacy
+                        ? this.encryptedFields(name)
+                        : this.storedEncryptedFields(this.backups.readSchema(manifest, name));
+                    return documents.map(doc => this.keyring.rotateDocument(doc, fields));
+                });
+            });
+            this.sendSuccess(ws, {
+                keyId: this.keyring.currentId,
+                collections: collectionNames.length,
+                backupFiles
+            }, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to rotate encryption key');
+        }
+    }
+
+    // Journal entries with their documents encrypted with the current key.
+    // Each batch is encrypted as the collection's last schema change before
+    // it says, or the current schema if the journal has none.
+    rotateJournalEntries(entries) {
+        const schemas = new Map();
+        return entries.map(entry => {
+            if (!entry.batch) {
+                schemas.set(entry.collection, entry.schema);
+                return entry;
+            }
+            return {
+                ...entry,
+                batch: entry.batch.map(({ collection, mutation }) => {
+                    const fields = schemas.has(collection)
+                        ? this.storedEncryptedFields(schemas.get(collection))
+                        : this.encryptedFields(collection);
+                    return { collection, mutation: mapMutationDocuments(mutation, doc => this.keyring.rotateDocument(doc, fields)) };
+                })
+            };
+        });
+    }
+
+    // Handlers are awaited so that anything they throw, including before
+    // their own try blocks, is answered like any other failure
+    async handleRequest(event, ws) {
+        logger.debug('Handling request', { type: event.type, requestId: event.requestId, user: ws.username, ip: ws.clientIP });
+        try {
+            const { requestId } = event;
+            this.authorizeRequest(event, ws);
+            if (this.replicationRole === 'follower' && FOLLOWER_REFUSED_REQUESTS.includes(event.type)) {
+                throw new PyxiCloudError('READ_ONLY', 'This server is a read-only follower; send changes to the primary');
+            }
+            switch (event.type) {
+                case 'CreateSchema':
+                    await this.createSchema(event.data, ws, requestId);
+                    break;
+                case 'UpdateSchema':
+                    await this.updateSchema(event.data, ws, requestId);
+                    break;
+                case 'GetSchema':
+                    await this.getSchema(event.data, ws, requestId);
+                    break;
+                case 'ListSchemas':
+                    await this.listSchemas(ws, requestId);
+                    break;
+                case 'DropCollection':
+                    await this.dropCollection(event.data, ws, requestId);
+                    break;
+                case 'Query':
+                    await this.handleQuery(event.data, ws, requestId);
+                    break;
+                case 'CreateIndex':
+                    await this.createIndex(event.data, ws, requestId);
+                    break;
+                case 'DropIndex':
+                    await this.dropIndex(event.data, ws, requestId);
+                    break;
+                case 'ListIndexes':
+                    await this.listIndexes(event.data, ws, requestId);
+                    break;
+                case 'ImportDocuments':
+                    await this.handleImportDocuments(event.data, ws, requestId);
+                    break;
+                case 'ValidateCollection':
+                    await this.handleValidateCollection(event.data, ws, requestId);
+                    break;
+                case 'Compact':
+                    await this.handleCompact(ws, requestId);
+                    break;
+                case 'BeginTransaction':
+                    await this.beginTransaction(ws, requestId);
+                    break;
+                case 'Commit':
+                    await this.commitTransaction(ws, requestId);
+                    break;
+                case 'Abort':
+                    await this.abortTransaction(ws, requestId);
+                    break;
+                case 'Subscribe':
+                    await this.subscribe(event.data, ws, requestId);
+                    break;
+                case 'Unsubscribe':
+                    await this.unsubscribe(event.data, ws, requestId);
+                    break;
+                case 'CreateUser':
+                    await this.createUser(event.data, ws, requestId);
+                    break;
+                case 'DeleteUser':
+                    await this.deleteUser(event.data, ws, requestId);
+                    break;
+                case 'ChangePassword':
+                    await this.changePassword(event.data, ws, requestId);
+                    break;
+                case 'GrantRole':
+                    await this.grantRole(event.data, ws, requestId);
+                    break;
+                case 'ListUsers':
+                    await this.listUsers(ws, requestId);
+                    break;
+                case 'RotateEncryptionKey':
+                    await this.rotateEncryptionKey(ws, requestId);
+                    break;
+                case 'CreateBackup':
+                    await this.handleCreateBackup(event.data, ws, requestId);
+                    break;
+                case 'ListBackups':
+                    await this.listBackups(ws, requestId);
+                    break;
+                case 'RestoreBackup':
+                    await this.restoreBackup(event.data, ws, requestId);
+                    break;
+                case 'Replicate':
+                    await this.handleReplicate(event.data, ws, requestId);
+                    break;
+                case 'Promote':
+                    await this.promote(ws, requestId);
+                    break;
+                case 'ReplicationStatus':
+                    await this.replicationStatus(ws, requestId);
+                    break;
+                case 'ReloadAccessLists':
+                    await this.handleReloadAccessLists(ws, requestId);
+                    break;
+                case 'ReloadHooks':
+                    await this.handleReloadHooks(ws, requestId);
+                    break;
+                case 'ServerStatus':
+                    await this.handleServerStatus(ws, requestId);
+                    break;
+                case 'Logout':
+                    await this.logout(ws, requestId);
+                    break;
+                case 'ListSessions':
+                    await this.listSessions(ws, requestId);
+                    break;
+                case 'RevokeSession':
+                    await this.revokeSession(event.data, ws, requestId);
+                    break;
+                default:
+                    this.sendError(ws, new PyxiCloudError('UNKNOWN_REQUEST', `Unknown event type "${event.type}"`, { type: event.type }), requestId);
+            }
+        } catch (error) {
+            if (error instanceof PyxiCloudError && error.code === 'PERMISSION_DENIED') {
+                logger.warn('Permission denied', { type: event.type, requestId: event.requestId, user: ws.username, ip: ws.clientIP, reason: error.message });
+            } else {
+                logger.error('Error handling request', { type: event.type, requestId: event.requestId, error });
+            }
+            this.sendError(ws, error, event.requestId);
+        }
+    }
+
+    authorizeRequest(event, ws) {
+        if (ADMINISTRATOR_REQUESTS.includes(event.type)) {
+            if (!this.users.isAdministrator(ws.username)) {
+                throw new PyxiCloudError('PERMISSION_DENIED', 'Permission denied: administrator access required', { role: 'admin', collectionName: '*' });
+            }
+            return;
+        }
+        const role = REQUEST_ROLES[event.type];
+        if (role) {
+            this.checkPermission(ws, event.data && event.data.collectionName, role);
+        }
+    }
+
+    checkPermission(ws, collectionName, role) {
+        if (!this.users.can(ws.username, collectionName, role)) {
+            throw new PyxiCloudError('PERMISSION_DENIED', `Permission denied: ${role} access to "${collectionName}" required`, { role, collectionName });
+        }
+    }
+
+    async createUser(data, ws, requestId) {
+        try {
+            const { username, password, roles = {} } = data;
+            await this.users.create(username, password, roles);
+            this.sendSuccess(ws, this.users.describe(username), requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to create user');
+        }
+    }
+
+    deleteUser(data, ws, requestId) {
+        const { username } = data;
+        try {
+            if (this.users.isAdministrator(username) && this.users.otherAdministrators(username).length === 0) {
+                throw new PyxiCloudError('CONFLICT', 'Cannot delete the last administrator');
+            }
+            this.users.delete(username);
+            this.endSessions(this.sessions.deleteWhere(session => session.username === username));
+            this.sendSuccess(ws, { deleted: username }, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to delete user');
+        }
+    }
+
+    // Users change their own password by confirming the current one;
+    // administrators can reset anyone's
+    async changePassword(data, ws, requestId) {
+        try {
+            const { username = ws.username, currentPassword, newPassword } = data;
+            if (username === ws.username) {
+                if (!(await this.users.authenticate(username, currentPassword))) {
+                    throw new PyxiCloudError('INVALID_CREDENTIALS', 'Current password is incorrect');
+                }
+            } else if (!this.users.isAdministrator(ws.username)) {
+                throw new PyxiCloudError('PERMISSION_DENIED', 'Permission denied: administrator access required', { role: 'admin', collectionName: '*' });
+            }
+            await this.users.changePassword(username, newPassword);
+            // Other sessions of the user have to log in with the new password
+            this.endSessions(this.sessions.deleteWhere(session =>
+                session.username === username && session.id !== ws.sessionId
+            ));
+            this.sendSuccess(ws, 'Password changed successfully', requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to change password');
+        }
+    }
+
+    grantRole(data, ws, requestId) {
+        const { username, collectionName, role } = data;
+        try {
+            const demotesLastAdministrator = collectionName === '*' && role !== 'admin' &&
+                this.users.isAdministrator(username) && this.users.otherAdministrators(username).length === 0;
+            if (demotesLastAdministrator) {
+                throw new PyxiCloudError('CONFLICT', 'Cannot demote the last administrator');
+            }
+            this.users.grantRole(username, collectionName, role);
+            this.sendSuccess(ws, this.users.describe(username), requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to grant role');
+        }
+    }
+
+    listUsers(ws, requestId) {
+        this.sendSuccess(ws, this.users.list(), requestId);
+    }
+
+    // Journals a change and streams it to the connected followers
+    recordChange(change) {
+        if (!this.journal) return;
+        const entry = this.journal.append(change);
+        this.replicas.forEach(replica => {
+            this.sendEvent(replica, 'Replication', { primaryId: this.replicationState.serverId, entry });
+        });
+    }
+
+    // A follower asks for the log after the last position it applied. If
+    // that part of the log is gone, or the follower last replicated from a
+    // different primary, it gets a snapshot instead. Either way it then
+    // receives every new change as it is journaled.
+    handleReplicate(data, ws, requestId) {
+        if (this.replicationRole === 'follower') {
+            this.sendError(ws, new PyxiCloudError('CONFLICT', 'This server is a follower and cannot be replicated from'), requestId);
+            return;
+        }
+        if (this.replicationRole !== 'primary' || !this.journal) {
+            this.sendError(ws, replicationNotEnabled(), requestId);
+            return;
+        }
+        const { primaryId, afterSeq } = data;
+        const { serverId } = this.replicationState;
+
+        let backlog = null;
+        if (primaryId === serverId && Number.isInteger(afterSeq) && afterSeq >= 0 && afterSeq <= this.journal.seq) {
+            const entries = this.journal.entries({ afterSeq });
+            if (afterSeq === this.journal.seq || (entries.length > 0 && entries[0].seq === afterSeq + 1)) {
+                backlog = entries;
+            }
+        }
+
+        this.sendSuccess(ws, { primaryId: serverId, seq: this.journal.seq, mode: backlog ? 'log' : 'snapshot' }, requestId);
+        if (backlog) {
+            backlog.forEach(entry => this.sendEvent(ws, 'Replication', { primaryId: serverId, entry }));
+        } else {
+            this.sendEvent(ws, 'Replication', { primaryId: serverId, snapshot: this.replicationSnapshot() });
+        }
+        this.replicas.add(ws);
+    }
+
+    // Schemas and collections as stored, taken synchronously so they match seq
+    replicationSnapshot() {
+        if (!this.journal) {
+            throw replicationNotEnabled();
+        }
+        const schemas = {};
+        for (const collectionName of this.schemas.keys()) {
+            schemas[collectionName] = JSON.parse(fs.readFileSync(path.join(schemaDirectory, `${collectionName}.json`), 'utf-8'));
+        }
+        const collections = {};
+        for (const collectionName of this.storage.list()) {
+            collections[collectionName] = this.storage.read(collectionName);
+        }
+        return { seq: this.journal.seq, schemas, collections };
+    }
+
+    startFollowing() {
+        if (!config.replicationPrimary) {
+            throw new Error('A follower needs config.replicationPrimary');
+        }
+        this.replicationClient = new ReplicationClient({
+            url: config.replicationPrimary,
+            credentials: config.replicationCredentials || config.credentials,
+            tls: config.replicationTls,
+            state: this.replicationState,
+            onSnapshot: (primaryId, snapshot) => this.applyReplicatedSnapshot(primaryId, snapshot),
+            onEntry: (primaryId, entry) => this.applyReplicatedEntry(primaryId, entry)
+        });
+        this.replicationClient.start();
+    }
+
+    async applyReplicatedSnapshot(primaryId, snapshot) {
+        const scope = [...new Set([
+            ...Object.keys(snapshot.schemas),
+            ...Object.keys(snapshot.collections),
+            ...this.storage.list(),
+            ...this.schemas.keys()
+        ])];
+        await this.withCollectionLocks(scope, () => {
+            this.decryptState(snapshot);
+            return this.applyRestoredState(scope, snapshot);
+        });
+
+        this.replicationState.primaryId = primaryId;
+        this.replicationState.appliedSeq = snapshot.seq;
+        this.replicationState.save();
+        logger.info('Applied replication snapshot', { seq: snapshot.seq });
+    }
+
+    async applyReplicatedEntry(primaryId, entry) {
+        const state = this.replicationState;
+        if (primaryId !== state.primaryId || entry.seq <= state.appliedSeq) {
+            return;
+        }
+        if (entry.seq !== state.appliedSeq + 1) {
+            throw new Error(`Missing replicated changes ${state.appliedSeq + 1} to ${entry.seq - 1}`);
+        }
+
+        if (entry.batch) {
+            const collectionNames = entry.batch.map(({ collection }) => collection);
+            await this.withCollectionLocks(collectionNames, () => {
+                this.applyMutations(this.toReplicatedMutations(entry.batch));
+            });
+        } else {
+            await this.withCollectionLocks([entry.collection], () => {
+                if (entry.schema === null) {
+                    this.removeSchema(entry.collection);
+                } else {
+                    // The primary re-encrypts outside the log when encrypted fields change
+                    const previousEncrypted = this.encryptedFields(entry.collection);
+                    this.storeSchema(entry.collection, entry.schema);
+                    if (!deepEqual(previousEncrypted, this.encryptedFields(entry.collection))) {
+                        this.rewriteCollections([entry.collection], previousEncrypted);
+                    }
+                }
+                this.indexes.delete(entry.collection);
+            });
+        }
+
+        state.appliedSeq = entry.seq;
+        state.save();
+    }
+
+    // Turns journaled storage mutations back into the mutations applyMutation
+    // takes, with plaintext documents and what indexes and subscribers need
+    toReplicatedMutations(batch) {
+        const collections = new Map();
+        return batch.map(({ collection: collectionName, mutation }) => {
+            const fields = this.encryptedFields(collectionName);
+            const decrypt = doc => this.keyring.decryptDocument(doc, fields);
+            const current = collections.has(collectionName)
+                ? collections.get(collectionName)
+                : this.readCollection(collectionName);
+            let replicated;
+            switch (mutation.type) {
+                case 'insert':
+                    replicated = { type: 'insert', documents: mutation.documents.map(decrypt) };
+                    break;
+                case 'update':
+                    replicated = {
+                        type: 'update',
+                        changes: mutation.changes.map(({ index, document }) => ({ index, document: decrypt(document), previous: current[index] }))
+                    };
+                    break;
+                case 'delete':
+                    replicated = { type: 'delete', indexes: mutation.indexes, documents: mutation.indexes.map(index => current[index]) };
+                    break;
+                case 'replace':
+                    replicated = { type: 'replace', documents: mutation.documents.map(decrypt) };
+                    break;
+                case 'drop':
+                    replicated = { type: 'drop', documents: current };
+                    break;
+                default:
+                    throw new Error(`Unknown mutation type: ${mutation.type}`);
+            }
+            collections.set(collectionName, applyToCollection(current.slice(), replicated) || []);
+            return { collectionName, mutation: replicated };
+        });
+    }
+
+    async promote(ws, requestId) {
+        if (this.replicationRole !== 'follower') {
+            this.sendError(ws, new PyxiCloudError('CONFLICT', 'Only a follower can be promoted'), requestId);
+            return;
+        }
+        await this.replicationClient.stop();
+        this.replicationClient = null;
+        this.replicationRole = 'primary';
+        this.replicationState.promoted = true;
+        this.replicationState.save();
+        logger.info('Promoted to primary');
+        this.sendSuccess(ws, {
+            role: this.replicationRole,
+            serverId: this.replicationState.serverId,
+            appliedSeq: this.replicationState.appliedSeq
+        }, requestId);
+    }
+
+    replicationStatus(ws, requestId) {
+        this.sendSuccess(ws, this.replicationSummary(), requestId);
+    }
+
+    replicationSummary() {
+        const { serverId, primaryId, appliedSeq } = this.replicationState;
+        const status = {
+            role: this.replicationRole,
+            serverId,
+            seq: this.journal ? this.journal.seq : null,
+            followers: this.replicas.size
+        };
+        if (this.replicationRole === 'follower') {
+            status.primary = {
+                url: config.replicationPrimary,
+                primaryId,
+                appliedSeq,
+                connected: this.replicationClient.connected
+            };
+        }
+        return status;
+    }
+
+    async createSchema(data, ws, requestId) {
+        const { collectionName, schemaDefinition, options = {} } = data;
+        if (!this.validateSchemaData(collectionName, schemaDefinition, options)) {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid schema data'), requestId);
+            return;
+        }
+
+        const problems = checkSchemaDefinition(schemaDefinition);
+        if (problems.length > 0) {
+            this.sendError(ws, new PyxiCloudError('BAD_REQUEST', `Invalid schema definition: ${problems.join('; ')}`, { problems }), requestId);
+            return;
+        }
+        const optionProblems = [...checkSchemaOptions(options), ...checkTtl(options.ttl)];
+        if (optionProblems.length > 0) {
+            this.sendError(ws, new PyxiCloudError('BAD_REQUEST', `Invalid schema options: ${optionProblems.join('; ')}`, { problems: optionProblems }), requestId);
+            return;
+        }
+
+        try {
+            this.checkEncryptionAvailable(schemaDefinition);
+            this.saveSchema(collectionName, schemaDefinition, options);
+            this.sendSuccess(ws, 'Schema created successfully', requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to create schema');
+        }
+    }
+
+    async updateSchema(data, ws, requestId) {
+        const { collectionName, schemaDefinition, migration, options = this.schemaOptions.get(collectionName) || {} } = data;
+        if (!this.validateSchemaData(collectionName, schemaDefinition, options)) {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid schema data'), requestId);
+            return;
+        }
+
+        const problems = checkSchemaDefinition(schemaDefinition);
+        if (problems.length > 0) {
+            this.sendError(ws, new PyxiCloudError('BAD_REQUEST', `Invalid schema definition: ${problems.join('; ')}`, { problems }), requestId);
+            return;
+        }
+        const optionProblems = [...checkSchemaOptions(options), ...checkTtl(options.ttl)];
+        if (optionProblems.length > 0) {
+            this.sendError(ws, new PyxiCloudError('BAD_REQUEST', `Invalid schema options: ${optionProblems.join('; ')}`, { problems: optionProblems }), requestId);
+            return;
+        }
+
+        if (migration !== undefined) {
+            const migrationProblems = checkMigration(migration);
+            if (migrationProblems.length > 0) {
+                this.sendError(ws, new PyxiCloudError('BAD_REQUEST', `Invalid migration: ${migrationProblems.join('; ')}`, { problems: migrationProblems }), requestId);
+                return;
+            }
+        }
+
+        try {
+            this.checkEncryptionAvailable(schemaDefinition);
+            const migratedCount = await this.withCollectionLocks([collectionName], () => {
+                const previousEncrypted = this.encryptedFields(collectionName);
+                const count = migration !== undefined
+                    ? this.migrateCollection(collectionName, migration, schemaDefinition, options)
+                    : 0;
+                this.saveSchema(collectionName, schemaDefinition, options);
+                if (!deepEqual(previousEncrypted, this.encryptedFields(collectionName))) {
+                    this.rewriteCollections([collectionName], previousEncrypted);
+                }
+                return count;
+            });
+            this.sendSuccess(ws, {
+                message: 'Schema updated successfully',
+                version: this.schemaVersions.get(collectionName),
+                migratedCount
+            }, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to update schema');
+        }
+    }
+
+    // Migrates every document and validates the result against the new schema
+    // before anything is written, so the collection is either fully migrated or
+    // left untouched.
+    migrateCollection(collectionName, migration, schemaDefinition, options) {
+        const collection = this.readCollection(collectionName);
+        const errors = [];
+        const documents = collection.map((doc, index) => {
+            const migrated = applyMigration(doc, migration);
+            const result = validateDocument(migrated, withSystemFields(schemaDefinition, options), {
+                strict: Boolean(options.strict),
+                applyDefaults: false
+            });
+            errors.push(...result.errors.map(fieldError => ({ index, ...fieldError })));
+            return migrated;
+        });
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+
+        // Rejects unique fields that collide after the migration
+        this.buildIndexes(collectionName, documents, schemaDefinition);
+
+        if (documents.length > 0) {
+            this.applyMutation(collectionName, { type: 'replace', documents });
+        }
+        return documents.length;
+    }
+
+    saveSchema(collectionName, schemaDefinition, options = this.schemaOptions.get(collectionName) || {}) {
+        // Build the indexes first so a unique field with existing duplicates is rejected
+        this.buildIndexes(collectionName, this.readCollection(collectionName), schemaDefinition);
+        this.storeSchema(collectionName, {
+            version: (this.schemaVersions.get(collectionName) || 0) + 1,
+            updatedAt: new Date().toISOString(),
+            options,
+            fields: schemaDefinition
+        });
+    }
+
+    // Writes a schema file as stored on disk and loads it
+    storeSchema(collectionName, stored) {
+        const { fields, options, version } = this.parseStoredSchema(stored);
+        fs.writeFileSync(path.join(schemaDirectory, `${collectionName}.json`), JSON.stringify(stored, null, 2));
+        this.schemas.set(collectionName, fields);
+        this.schemaOptions.set(collectionName, options);
+        this.schemaVersions.set(collectionName, version);
+        this.recordChange({ collection: collectionName, schema: stored });
+    }
+
+    removeSchema(collectionName) {
+        fs.rmSync(path.join(schemaDirectory, `${collectionName}.json`), { force: true });
+        this.schemas.delete(collectionName);
+        this.schemaOptions.delete(collectionName);
+        this.schemaVersions.delete(collectionName);
+        this.recordChange({ collection: collectionName, schema: null });
+    }
+
+    getSchema(data, ws, requestId) {
+        const { collectionName } = data;
+        if (!this.schemas.has(collectionName)) {
+            this.sendError(ws, schemaNotFound(collectionName), requestId);
+            return;
+        }
+        this.sendSuccess(ws, this.describeSchema(collectionName), requestId);
+    }
+
+    listSchemas(ws, requestId) {
+        const readable = [...this.schemas.keys()].filter(collectionName => this.users.can(ws.username, collectionName, 'read'));
+        const schemas = readable.map(collectionName => {
+            const { fields, options, ...summary } = this.describeSchema(collectionName);
+            return summary;
+        });
+        this.sendSuccess(ws, schemas, requestId);
+    }
+
+    describeSchema(collectionName) {
+        return {
+            collectionName,
+            version: this.schemaVersions.get(collectionName),
+            options: this.schemaOptions.get(collectionName),
+            fields: this.schemas.get(collectionName),
+            documentCount: this.documentCount(collectionName)
+        };
+    }
+
+    async dropCollection(data, ws, requestId) {
+        const { collectionName } = data;
+        const hasData = this.storage.list().includes(collectionName);
+        if (typeof collectionName !== 'string' || (!this.schemas.has(collectionName) && !hasData)) {
+            this.sendError(ws, new PyxiCloudError('NOT_FOUND', `Collection "${collectionName}" not found`, { resource: 'collection', name: collectionName }), requestId);
+            return;
+        }
+
+        try {
+            const documents = await this.withCollectionLocks([collectionName], () => {
+                const dropped = hasData ? this.readCollection(collectionName) : [];
+                if (hasData) {
+                    this.applyMutation(collectionName, { type: 'drop', documents: dropped });
+                }
+                this.removeSchema(collectionName);
+                this.indexes.delete(collectionName);
+                return dropped;
+            });
+            this.sendSuccess(ws, { dropped: collectionName, deletedCount: documents.length }, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to drop collection');
+        }
+    }
+
+    validateSchemaData(collectionName, schemaDefinition, options = {}) {
+        return (
+            typeof collectionName === 'string' &&
+            collectionName.length > 0  &&
+            typeof schemaDefinition === 'object' &&
+            schemaDefinition !== null &&
+            Object.keys(schemaDefinition).length > 0 &&
+            typeof options === 'object' &&
+            options !== null
+        );
+    }
+
+    createIndex(data, ws, requestId) {
+        const { collectionName, field, unique = false } = data;
+        const schema = this.schemas.get(collectionName);
+        if (!schema) {
+            this.sendError(ws, schemaNotFound(collectionName), requestId);
+            return;
+        }
+        if (typeof field !== 'string' || field.length === 0) {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid index data'), requestId);
+            return;
+        }
+
+        try {
+            const fieldSchema = { ...schema[field], index: true };
+            if (unique) {
+                fieldSchema.unique = true;
+            }
+            this.saveSchema(collectionName, { ...schema, [field]: fieldSchema });
+            this.sendSuccess(ws, this.indexes.get(collectionName).get(field).describe(), requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to create index');
+        }
+    }
+
+    dropIndex(data, ws, requestId) {
+        const { collectionName, field } = data;
+        const schema = this.schemas.get(collectionName);
+        if (!schema) {
+            this.sendError(ws, schemaNotFound(collectionName), requestId);
+            return;
+        }
+        const fieldSchema = schema[field];
+        if (!fieldSchema || !(fieldSchema.index || fieldSchema.unique)) {
+            this.sendError(ws, new PyxiCloudError('NOT_FOUND', `Index on field "${field}" not found`, { resource: 'index', name: field }), requestId);
+            return;
+        }
+
+        try {
+            const { index, unique, ...rest } = fieldSchema;
+            this.saveSchema(collectionName, { ...schema, [field]: rest });
+            this.sendSuccess(ws, 'Index dropped successfully', requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to drop index');
+        }
+    }
+
+    listIndexes(data, ws, requestId) {
+        const { collectionName } = data;
+        if (!this.schemas.has(collectionName)) {
+            this.sendError(ws, schemaNotFound(collectionName), requestId);
+            return;
+        }
+        const indexes = this.getIndexes(collectionName, this.readCollection(collectionName));
+        this.sendSuccess(ws, indexes.list(), requestId);
+    }
+
+    async handleImportDocuments(data, ws, requestId) {
+        try {
+            const { collectionName, documents, query, projection } = data;
+            if (!this.schemas.has(collectionName)) {
+                throw schemaNotFound(collectionName);
+            }
+            if (!Array.isArray(documents)) {
+                throw new PyxiCloudError('INVALID_REQUEST', 'documents must be an array');
+            }
+            const result = await this.withCollectionLocks([collectionName], () =>
+                this.importDocuments(collectionName, documents, { query, projection }));
+            this.sendSuccess(ws, result, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to import documents');
+        }
+    }
+
+    // Unlike insertMany, every document that passes validation and the
+    // unique checks is inserted and the others are reported by position.
+    // Documents not matching query are skipped; projection picks the fields
+    // that are imported.
+    importDocuments(collectionName, documents, { query = {}, projection } = {}) {
+        if (projection !== undefined) checkProjection(projection);
+        const schema = this.schemas.get(collectionName);
+        const options = this.schemaOptions.get(collectionName);
+        const collection = this.readCollection(collectionName);
+        const uniqueFields = [...this.getIndexes(collectionName, collection).fields.values()]
+            .filter(index => index.unique)
+            .map(index => index.field);
+        const taken = new Map(uniqueFields.map(field => [field, new Set()]));
+
+        const accepted = [];
+        const rejected = [];
+        let skippedCount = 0;
+        documents.forEach((document, index) => {
+            try {
+                if (typeof document === 'object' && document !== null && !this.matchQuery(document, query)) {
+                    skippedCount++;
+                    return;
+                }
+                const imported = this.validateAndApplyDefaults(
+                    stampNew(projection === undefined ? document : applyProjection(document, projection), options),
+                    schema,
+                    options
+                );
+                this.checkUniqueConstraints(collectionName, collection, [{ document: imported }]);
+                for (const field of uniqueFields) {
+                    const value = imported[field];
+                    if (value !== undefined && taken.get(field).has(value)) {
+                        throw new PyxiCloudError('DUPLICATE_KEY', `Duplicate value for unique field "${field}"`, { field, value });
+                    }
+                }
+                uniqueFields.forEach(field => taken.get(field).add(imported[field]));
+                accepted.push(imported);
+            } catch (error) {
+                const { code, details } = describeError(error);
+                rejected.push({ index, code, message: error.message, details });
+            }
+        });
+
+        if (accepted.length > 0) {
+            this.applyMutation(collectionName, { type: 'insert', documents: accepted });
+        }
+        return { insertedCount: accepted.length, skippedCount, rejected };
+    }
+
+    handleValidateCollection(data, ws, requestId) {
+        const { collectionName } = data;
+        try {
+            if (!this.schemas.has(collectionName)) {
+                throw schemaNotFound(collectionName);
+            }
+            this.sendSuccess(ws, this.validateCollection(collectionName), requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to validate collection');
+        }
+    }
+
+    // Checks the stored documents against the current schema, e.g. after
+    // the collection files were edited by hand
+    validateCollection(collectionName) {
+        const options = this.schemaOptions.get(collectionName) || {};
+        const schema = withSystemFields(this.schemas.get(collectionName), options);
+        const collection = this.readCollection(collectionName);
+
+        const invalid = [];
+        collection.forEach((document, index) => {
+            const { errors } = validateDocument(document, schema, { strict: Boolean(options.strict), applyDefaults: false });
+            if (errors.length > 0) {
+                invalid.push({ index, _id: document._id === undefined ? null : document._id, errors });
+            }
+        });
+
+        const indexes = new CollectionIndexes(indexDefinitions(this.schemas.get(collectionName)));
+        indexes.build(collection);
+        const duplicates = [];
+        for (const [field, index] of indexes.fields) {
+            const duplicate = index.unique && index.findDuplicate();
+            if (duplicate) {
+                duplicates.push({ field, value: duplicate.value });
+            }
+        }
+
+        return {
+            collectionName,
+            checkedCount: collection.length,
+            valid: invalid.length === 0 && duplicates.length === 0,
+            invalid,
+            duplicates
+        };
+    }
+
+    async handleCompact(ws, requestId) {
+        try {
+            await this.compactStorage();
+            this.sendSuccess(ws, { compacted: true, storageEngine: config.storageEngine }, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, 'Failed to compact storage');
+        }
+    }
+
+    // Folds the 'log' engine's write-ahead log into the collection files;
+    // the 'json' engine has nothing to do
+    compactStorage() {
+        const collectionNames = [...new Set([...this.storage.list(), ...this.schemas.keys()])];
+        return this.withCollectionLocks(collectionNames, () => this.storage.flush());
+    }
+
+    subscribe(data, ws, requestId) {
+        const { collectionName, filter = {} } = data;
+        if (typeof collectionName !== 'string' || collectionName.length === 0 ||
+            typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid subscription data'), requestId);
+            return;
+        }
+
+        const subscriptionId = crypto.randomBytes(16).toString('hex');
+        ws.subscriptions.set(subscriptionId, { collectionName, filter });
+        this.sendSuccess(ws, { subscriptionId }, requestId);
+    }
+
+    unsubscribe(data, ws, requestId) {
+        const { subscriptionId, collectionName } = data;
+
+        if (typeof subscriptionId === 'string') {
+            if (!ws.subscriptions.delete(subscriptionId)) {
+                this.sendError(ws, new PyxiCloudError('NOT_FOUND', `Subscription "${subscriptionId}" not found`, { resource: 'subscription', name: subscriptionId }), requestId);
+                return;
+            }
+            this.sendSuccess(ws, { unsubscribed: [subscriptionId] }, requestId);
+            return;
+        }
+
+        if (typeof collectionName === 'string') {
+            const unsubscribed = [];
+            for (const [id, subscription] of ws.subscriptions) {
+                if (subscription.collectionName === collectionName) {
+                    ws.subscriptions.delete(id);
+                    unsubscribed.push(id);
+                }
+            }
+            this.sendSuccess(ws, { unsubscribed }, requestId);
+            return;
+        }
+
+        this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid unsubscribe data'), requestId);
+    }
+
+    // changes: [{ document, previous }] where previous is only set for updates
+    notifySubscribers(collectionName, changeType, changes) {
+        if (changes.length === 0) return;
+
+        this.clients.forEach(ws => {
+            if (!ws.isAuthenticated || ws.readyState !== WebSocket.OPEN) return;
+            if (!this.users.can(ws.username, collectionName, 'read')) return;
+
+            for (const [subscriptionId, subscription] of ws.subscriptions) {
+                if (subscription.collectionName !== collectionName) continue;
+
+                let matching;
+                try {
+                    matching = changes.filter(({ document, previous }) =>
+                        this.matchQuery(document, subscription.filter) ||
+                        (previous !== undefined && this.matchQuery(previous, subscription.filter))
+                    );
+                } catch (error) {
+                    logger.warn('Error matching subscription filter', { subscriptionId, error });
+                    continue;
+                }
+                if (matching.length === 0) continue;
+
+                const data = {
+                    collectionName,
+                    changeType,
+                    documents: matching.map(change => change.document)
+                };
+                if (changeType === 'update') {
+                    data.previousDocuments = matching.map(change => change.previous);
+                }
+                this.sendEvent(ws, 'Change', { subscriptionId, data });
+            }
+        });
+    }
+
+    async handleQuery(data, ws, requestId) {
+        const { collectionName, operation, ...params } = data;
+        if (!this.validateQueryData(collectionName, operation, params)) {
+            this.sendError(ws, new PyxiCloudError('INVALID_REQUEST', 'Invalid query data'), requestId);
+            return;
+        }
+
+        try {
+            const isWrite = WRITE_OPERATIONS.includes(operation);
+            this.checkPermission(ws, collectionName, isWrite ? 'write' : 'read');
+            if (isWrite && this.replicationRole === 'follower') {
+                throw new PyxiCloudError('READ_ONLY', 'This server is a read-only follower; send writes to the primary');
+            }
+            if (operation === 'aggregate' && Array.isArray(params.pipeline)) {
+                // $lookup reads from other collections too
+                params.pipeline
+                    .filter(stage => stage && stage.$lookup && typeof stage.$lookup.from === 'string')
+                    .forEach(stage => {
+                        this.checkPermission(ws, stage.$lookup.from, 'read');
+                        if (!this.schemas.has(stage.$lookup.from)) {
+                            throw schemaNotFound(stage.$lookup.from);
+                        }
+                    });
+            }
+            if (!this.schemas.has(collectionName)) {
+                throw schemaNotFound(collectionName);
+            }
+
+            if (isWrite && ws.transaction) {
+                this.queueTransactionOperation(ws, { collectionName, operation, params }, requestId);
+                return;
+            }
+
+            const { result, meta } = isWrite
+                ? await this.withCollectionLocks([collectionName], () => this.executeQuery(collectionName, operation, params))
+                : await this.executeQuery(collectionName, operation, params);
+            this.sendSuccess(ws, result, requestId, meta);
+        } catch (error) {
+            this.sendError(ws, error, requestId);
+        }
+    }
+
+    async executeQuery(collectionName, operation, params) {
+        const schema = this.schemas.get(collectionName);
+        let result;
+        let meta;
+        switch (operation) {
+            case 'insertOne':
+                result = await this.insertOne(collectionName, params.document, schema);
+                break;
+            case 'insertMany':
+                result = await this.insertMany(collectionName, params.documents, schema);
+                break;
+            case 'find': {
+                const page = await this.findPage(collectionName, params.query || {}, params);
+                result = page.documents;
+                if (params.limit !== undefined) {
+                    meta = { nextCursor: page.nextCursor };
+                }
+                break;
+            }
+            case 'findOne':
+                result = await this.findOne(collectionName, params.query || {}, params);
+                break;
+            case 'findById':
+                result = await this.findById(collectionName, params.id, params);
+                break;
+            case 'search':
+                result = await this.search(collectionName, params.text, params);
+                break;
+            case 'count':
+                result = await this.count(collectionName, params.query || {}, params);
+                break;
+            case 'distinct':
+                result = await this.distinct(collectionName, params.field, params.query || {});
+                break;
+            case 'aggregate':
+                result = await this.aggregate(collectionName, params.pipeline);
+                break;
+            case 'updateOne':
+                result = await this.updateOne(collectionName, params.query, params.updateFields, {
+                    upsert: params.upsert,
+                    expectedVersion: params.expectedVersion
+                });
+                break;
+            case 'updateMany':
+                result = await this.updateMany(collectionName, params.query, params.updateFields, { upsert: params.upsert });
+                break;
+            case 'updateById':
+                result = await this.updateById(collectionName, params.id, params.updateFields, {
+                    upsert: params.upsert,
+                    expectedVersion: params.expectedVersion
+                });
+                break;
+            case 'deleteOne':
+                result = await this.deleteOne(collectionName, params.query, { expectedVersion: params.expectedVersion });
+                break;
+            case 'deleteMany':
+                result = await this.deleteMany(collectionName, params.query);
+                break;
+            case 'deleteById':
+                result = await this.deleteById(collectionName, params.id, { expectedVersion: params.expectedVersion });
+                break;
+            default:
+                throw new Error('Invalid operation');
+        }
+        return { result, meta };
+    }
+
+    // Runs task once every collection in collectionNames is free. All locks
+    // are taken at once, so transactions over several collections can't
+    // deadlock each other.
+    async withCollectionLocks(collectionNames, task) {
+        const names = [...new Set(collectionNames)];
+        const previous = names.map(name => this.collectionLocks.get(name));
+        let release;
+        const current = new Promise(resolve => { release = resolve; });
+        names.forEach(name => this.collectionLocks.set(name, current));
+
+        await Promise.all(previous);
+        try {
+            return await task();
+        } finally {
+            release();
+            names.forEach(name => {
+                if (this.collectionLocks.get(name) === current) {
+                    this.collectionLocks.delete(name);
+                }
+            });
+        }
+    }
+
+    beginTransaction(ws, requestId) {
+        if (ws.transaction) {
+            this.sendError(ws, new PyxiCloudError('CONFLICT', 'A transaction is already in progress'), requestId);
+            return;
+        }
+        ws.transaction = {
+            id: crypto.randomBytes(16).toString('hex'),
+            operations: []
+        };
+        this.sendSuccess(ws, { transactionId: ws.transaction.id }, requestId);
+    }
+
+    queueTransactionOperation(ws, operation, requestId) {
+        const { transaction } = ws;
+        if (transaction.operations.length >= config.maxTransactionOperations) {
+            throw new PyxiCloudError('LIMIT_EXCEEDED', `Transactions are limited to ${config.maxTransactionOperations} operations`, {
+                limit: config.maxTransactionOperations
+            });
+        }
+        transaction.operations.push(operation);
+        this.sendSuccess(ws, {
+            queued: true,
+            transactionId: transaction.id,
+            operationIndex: transaction.operations.length - 1
+        }, requestId);
+    }
+
+    abortTransaction(ws, requestId) {
+        if (!ws.transaction) {
+            this.sendError(ws, new PyxiCloudError('CONFLICT', 'No transaction in progress'), requestId);
+            return;
+        }
+        const transactionId = ws.transaction.id;
+        ws.transaction = null;
+        this.sendSuccess(ws, { transactionId, aborted: true }, requestId);
+    }
+
+    // The queued writes run against a staged copy of the collections while
+    // their locks are held. Only if every one succeeds are the resulting
+    // mutations persisted, as a single batch.
+    async commitTransaction(ws, requestId) {
+        const { transaction } = ws;
+        if (!transaction) {
+            this.sendError(ws, new PyxiCloudError('CONFLICT', 'No transaction in progress'), requestId);
+            return;
+        }
+        ws.transaction = null;
+
+        const collectionNames = transaction.operations.map(operation => operation.collectionName);
+        let operationIndex = 0;
+        try {
+            const results = await this.withCollectionLocks(collectionNames, async () => {
+                const staged = this.createStagedView();
+                const results = [];
+                for (const { collectionName, operation, params } of transaction.operations) {
+                    if (!this.schemas.has(collectionName)) {
+                        throw schemaNotFound(collectionName);
+                    }
+                    results.push((await staged.executeQuery(collectionName, operation, params)).result);
+                    operationIndex++;
+                }
+                this.applyMutations(staged.mutations);
+                staged.afterHooks.forEach(args => this.runAfterHooks(...args));
+                return results;
+            });
+            this.sendSuccess(ws, { transactionId: transaction.id, committed: true, results }, requestId);
+        } catch (error) {
+            this.sendError(ws, error, requestId, `Transaction aborted at operation ${operationIndex}`, { operationIndex });
+        }
+    }
+
+    // A view of the server whose reads and writes go to private copies of the
+    // collections and whose mutations are recorded instead of persisted
+    createStagedView() {
+        const staged = Object.create(this);
+        const collections = new Map();
+        staged.indexes = new Map();
+        staged.mutations = [];
+        // After hooks only run once the transaction is committed
+        staged.afterHooks = [];
+        staged.runAfterHooks = (...args) => staged.afterHooks.push(args);
+        staged.readCollection = collectionName => {
+            if (!collections.has(collectionName)) {
+                collections.set(collectionName, this.readCollection(collectionName));
+            }
+            return collections.get(collectionName).slice();
+        };
+        staged.applyMutation = (collectionName, mutation) => {
+            collections.set(collectionName, applyToCollection(staged.readCollection(collectionName), mutation) || []);
+            staged.indexes.delete(collectionName);
+            staged.mutations.push({ collectionName, mutation });
+        };
+        return staged;
+    }
+
+    validateQueryData(collectionName, operation, params) {
+        return (
+            typeof collectionName === 'string' &&
+            collectionName.length > 0 &&
+            QUERY_OPERATIONS.includes(operation) &&
+            typeof params === 'object'
+        );
+    }
+
+    async insertOne(collectionName, document, schema) {
+        const options = this.schemaOptions.get(collectionName);
+        const hooked = await this.runBeforeHooks(collectionName, 'beforeInsert', document);
+        const validatedDocument = this.validateAndApplyDefaults(stampNew(hooked, options), schema, options);
+        const collection = this.readCollection(collectionName);
+
+        this.checkUniqueConstraints(collectionName, collection, [{ document: validatedDocument }]);
+
+        this.applyMutation(collectionName, { type: 'insert', documents: [validatedDocument] });
+        this.runAfterHooks(collectionName, 'afterInsert', validatedDocument);
+        return validatedDocument;
+    }
+
+    async insertMany(collectionName, documents, schema) {
+        if (!Array.isArray(documents)) {
+            throw new Error('insertMany requires an array of documents');
+        }
+        const options = this.schemaOptions.get(collectionName);
+        const hookedDocuments = [];
+        for (const document of documents) {
+            hookedDocuments.push(await this.runBeforeHooks(collectionName, 'beforeInsert', document));
+        }
+        const errors = [];
+        const validatedDocuments = hookedDocuments.map((doc, index) => {
+            try {
+                return this.validateAndApplyDefaults(stampNew(doc, options), schema, options);
+            } catch (error) {
+                if (!(error instanceof ValidationError)) throw error;
+                errors.push(...error.errors.map(fieldError => ({ index, ...fieldError })));
+                return null;
+            }
+        });
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+        const collection = this.readCollection(collectionName);
+
+        this.checkUniqueConstraints(collectionName, collection, validatedDocuments.map(document => ({ document })));
 
-        this.startBackupProcess();
+        this.applyMutation(collectionName, { type: 'insert', documents: validatedDocuments });
+        validatedDocuments.forEach(document => this.runAfterHooks(collectionName, 'afterInsert', document));
+        return validatedDocuments;
     }
 
-    startBackupProcess() {
-        this.backupInterval = setInterval(() => {
-            this.createBackup();
-            this.cleanupOldBackups();
-        }, config.backupInterval);
+    validateAndApplyDefaults(document, schema, options = {}) {
+        checkPlainValues(document);
+        const { document: validatedDocument, errors } = validateDocument(document, withSystemFields(schema, options), {
+            strict: Boolean(options.strict)
+        });
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+        return validatedDocument;
     }
 
+    // Updates are validated on the merged document, without applying defaults
+    validateUpdatedDocument(collectionName, document) {
+        checkPlainValues(document);
+        const options = this.schemaOptions.get(collectionName) || {};
+        const { errors } = validateDocument(document, withSystemFields(this.schemas.get(collectionName), options), {
+            strict: Boolean(options.strict),
+            applyDefaults: false
+        });
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+        return document;
+    }
 
-    createBackup() {
-        const timestamp = new Date().toISOString().replace(/:/g, '-');
-        const backupPath = path.join(backupDirectory, `backup_${timestamp}`);
-        fs.mkdirSync(backupPath);
-
-        // Backup schemas
-        fs.copyFileSync(
-            path.join(schemaDirectory, 'schemas.json'),
-            path.join(backupPath, 'schemas.json')
-        );
+    async find(collectionName, query, options = {}) {
+        return this.findPage(collectionName, query, options).documents;
+    }
 
-        // Backup collections
-        fs.readdirSync(collectionsDirectory).forEach(file => {
-            fs.copyFileSync(
-                path.join(collectionsDirectory, file),
-                path.join(backupPath, file)
-            );
-        });
+    async findOne(collectionName, query, options = {}) {
+        const [document] = this.findPage(collectionName, query, { ...options, limit: 1, cursor: undefined }).documents;
+        return document === undefined ? null : document;
+    }
 
-        console.log(`Backup created: ${backupPath}`);
+    // The ById operations go through the unique index on _id
+    async findById(collectionName, id, { projection } = {}) {
+        checkId(id);
+        return this.findOne(collectionName, { _id: id }, { projection });
     }
 
-    cleanupOldBackups() {
-        const now = new Date();
-        fs.readdirSync(backupDirectory).forEach(backupFolder => {
-            const backupPath = path.join(backupDirectory, backupFolder);
-            const stats = fs.statSync(backupPath);
-            const diffDays = (now.getTime() - stats.mtime.getTime()) / (1000 * 3600 * 24);
-            
-            if (diffDays > config.backupRetentionDays) {
-                fs.rmSync(backupPath, { recursive: true, force: true });
-                console.log(`Old backup removed: ${backupPath}`);
+    // Documents matching every word and phrase of text, and query, ranked by
+    // relevance. Each comes with its score in _score.
+    async search(collectionName, text, { query = {}, projection, skip = 0, limit, prefix, fuzzy } = {}) {
+        this.checkFindOptions({ projection, skip, limit });
+        const clauses = parseSearch(text, { prefix: Boolean(prefix), fuzzy });
+        const collection = this.readCollection(collectionName);
+        const { text: textIndex } = this.getIndexes(collectionName, collection);
+        if (!textIndex) {
+            throw new PyxiCloudError('BAD_REQUEST', `Collection "${collectionName}" has no text fields to search`);
+        }
+        const { ttl } = this.schemaOptions.get(collectionName) || {};
+        const now = Date.now();
+
+        const results = [];
+        for (const [position, score] of textIndex.search(clauses)) {
+            const document = collection[position];
+            if (ttl && isExpired(document, ttl, now)) continue;
+            if (this.matchQuery(document, query)) {
+                results.push({ position, score });
             }
-        });
+        }
+        results.sort((a, b) => b.score - a.score || a.position - b.position);
+
+        const end = limit === undefined ? results.length : skip + limit;
+        return results.slice(skip, end).map(({ position, score }) => ({
+            ...applyProjection(collection[position], projection),
+            _score: Math.round(score * 1000) / 1000
+        }));
     }
 
-    handleConnection(ws, req) {
-        const clientIP = req.socket.remoteAddress;
-        console.log('Client connected from:', clientIP);
+    async count(collectionName, query, options = {}) {
+        const { skip = 0, limit } = options;
+        this.checkFindOptions({ skip, limit });
+        const collection = this.readCollection(collectionName);
+        const matches = this.findMatching(collectionName, collection, query, limit === undefined ? Infinity : skip + limit);
+        return Math.max(0, matches.length - skip);
+    }
 
-        if (this.checkAccessDenied(clientIP, ws)) {
-            return;
+    async distinct(collectionName, field, query) {
+        if (typeof field !== 'string' || field.length === 0) {
+            throw new Error('distinct requires a field');
         }
+        return distinctValues(await this.find(collectionName, query), field);
+    }
 
-        ws.binaryType = 'arraybuffer';
-        ws.isAlive = true;
-        ws.isAuthenticated = false;
-        ws.sessionToken = null;
-
-        this.clients.add(ws);
+    async aggregate(collectionName, pipeline) {
+        if (!Array.isArray(pipeline)) {
+            throw new Error('aggregate requires a pipeline array');
+        }
 
-        ws.on('pong', () => {
-            ws.isAlive = true;
-            console.log('Received pong from client:', clientIP);
-        });
+        // A leading $match can use the collection's indexes
+        let documents;
+        let stages = pipeline;
+        const [first] = pipeline;
+        if (first && typeof first.$match === 'object' && first.$match !== null && Object.keys(first).length === 1) {
+            documents = await this.find(collectionName, first.$match);
+            stages = pipeline.slice(1);
+        } else {
+            documents = this.readLiveCollection(collectionName);
+        }
 
-        ws.on('message', async (message) => {
-            if (!this.checkRateLimit(clientIP)) {
-                this.sendError(ws, 'Rate limit exceeded. Please try again later.');
-                return;
-            }
-        
-            try {
-                const event = JSON.parse(message.toString());
-        
-                if (!this.validateEvent(event)) {
-                    this.sendError(ws, 'Invalid event format');
-                    return;
-                }
-        
-                if (event.type === 'Authenticate') {
-                    await this.handleAuthentication(event.data, ws, event.requestId);
-                    return;
+        return runPipeline(documents, stages, {
+            match: (doc, query) => this.matchQuery(doc, query),
+            readCollection: name => {
+                if (!this.schemas.has(name)) {
+                    throw schemaNotFound(name);
                 }
-        
-                if (!ws.isAuthenticated) {
-                    this.sendError(ws, 'Not authenticated', event.requestId);
-                    return;
-                }
-        
-                await this.handleRequest(event, ws);
-            } catch (error) {
-                console.error('Error processing message:', error);
-                this.sendError(ws, 'Invalid message format');
+                return this.readLiveCollection(name);
             }
         });
+    }
 
-        ws.on('close', () => {
-            console.log('Client disconnected from:', clientIP);
-            if (ws.sessionToken) {
-                this.sessions.delete(ws.sessionToken);
-            }
-            this.clients.delete(ws);
-        });
+    // Returns { documents, nextCursor }. nextCursor is set when limit cut the
+    // results short and can be passed back as cursor to get the next page.
+    findPage(collectionName, query, { projection, sort = {}, skip = 0, limit, cursor } = {}) {
+        this.checkFindOptions({ projection, sort, skip, limit });
+        const collection = this.readCollection(collectionName);
+        const hasCursor = cursor !== undefined && cursor !== null;
+        // Pages are always in sort order with _id breaking ties, so every
+        // page, the first included, agrees with the cursors. Positions can't
+        // break ties because they shift when documents are deleted.
+        const ordered = Object.keys(sort).length > 0 || hasCursor || limit !== undefined;
+
+        let entries = this.findMatching(collectionName, collection, query).map(index => ({
+            document: collection[index],
+            tieBreaker: collection[index]._id,
+            values: []
+        }));
+
+        if (ordered) {
+            entries = sortEntries(entries, sort);
+        }
+        if (hasCursor) {
+            const after = decodeCursor(cursor, sort);
+            entries = entries.filter(entry => compareKeys(sort, entry, after) > 0);
+        }
 
-        ws.on('error', (error) => {
-            console.error('WebSocket error:', error);
-            if (ws.sessionToken) {
-                this.sessions.delete(ws.sessionToken);
-            }
-            this.clients.delete(ws);
-        });
+        const end = limit === undefined ? entries.length : skip + limit;
+        const page = entries.slice(skip, end);
+        const nextCursor = end < entries.length && page.length > 0
+            ? encodeCursor(sort, page[page.length - 1])
+            : null;
+
+        return {
+            documents: page.map(entry => applyProjection(entry.document, projection)),
+            nextCursor
+        };
     }
 
-    checkAccessDenied(clientIP, ws) {
-        if (config.ipWhitelist && !config.whitelistedIps.includes(clientIP)) {
-            this.sendError(ws, 'Access denied. IP not in whitelist.');
-            ws.close();
-            return true;
+    checkFindOptions({ projection, sort, skip, limit }) {
+        if (projection !== undefined) checkProjection(projection);
+        if (sort !== undefined) checkSort(sort);
+        if (!Number.isInteger(skip) || skip < 0) {
+            throw new Error('skip must be a non-negative integer');
         }
-        if (config.ipBlacklist && config.blacklistedIps.includes(clientIP)) {
-            this.sendError(ws, 'Access denied. IP in blacklist.');
-            ws.close();
-            return true;
+        if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+            throw new Error('limit must be a positive integer');
         }
-        return false;
     }
 
-    validateEvent(event) {
-        return (
-            event &&
-            typeof event === 'object' &&
-            typeof event.type === 'string' &&
-            typeof event.requestId === 'string' &&
-            event.data !== undefined
-        );
+    async updateOne(collectionName, query, updateFields, options = {}) {
+        return this.updateMatching(collectionName, query, updateFields, { ...options, limit: 1 });
     }
 
-    startHeartbeat() {
-        setInterval(() => {
-            this.clients.forEach(ws => {
-                if (ws.isAlive === false) {
-                    this.clients.delete(ws);
-                    return ws.terminate();
-                }
-                
-                ws.isAlive = false;
-                ws.ping('', false, (error) => {
-                    if (error) console.error('Ping error:', error);
-                });
-            });
-        }, this.heartbeatInterval);
+    async updateMany(collectionName, query, updateFields, options = {}) {
+        return this.updateMatching(collectionName, query, updateFields, options);
     }
 
-    async handleAuthentication(data, ws, requestId) {
-        const { username, password } = data;
-        
-        if (!username || !password) {
-            this.sendError(ws, 'Missing credentials', requestId);
-            return;
+    async updateById(collectionName, id, updateFields, options = {}) {
+        checkId(id);
+        return this.updateOne(collectionName, { _id: id }, updateFields, options);
+    }
+
+    // expectedVersion only applies with limit 1
+    async updateMatching(collectionName, query, updateFields, { limit = Infinity, upsert = false, expectedVersion } = {}) {
+        checkUpdate(updateFields);
+        checkExpectedVersion(expectedVersion);
+        const schemaOptions = this.schemaOptions.get(collectionName);
+        const collection = this.readCollection(collectionName);
+        const matches = this.findMatching(collectionName, collection, query, limit);
+        matches.forEach(index => checkVersion(collection[index], expectedVersion));
+
+        if (matches.length === 0) {
+            if (!upsert) {
+                return { matchedCount: 0, modifiedCount: 0, upsertedCount: 0, upsertedId: null };
+            }
+            const hooked = await this.runBeforeHooks(collectionName, 'beforeInsert', this.applyUpdateFields(upsertBase(query), updateFields));
+            const document = this.validateAndApplyDefaults(
+                stampNew(hooked, schemaOptions),
+                this.schemas.get(collectionName),
+                schemaOptions
+            );
+            this.checkUniqueConstraints(collectionName, collection, [{ document }]);
+            this.applyMutation(collectionName, { type: 'insert', documents: [document] });
+            this.runAfterHooks(collectionName, 'afterInsert', document);
+            return {
+                matchedCount: 0,
+                modifiedCount: 0,
+                upsertedCount: 1,
+                upsertedId: document._id === undefined ? null : document._id
+            };
         }
 
-        if (username !== config.credentials.username || password !== config.credentials.password) {
-            this.sendError(ws, 'Invalid credentials', requestId);
-            return;
+        const changes = [];
+        for (const index of matches) {
+            const previous = collection[index];
+            const updated = this.applyUpdateFields(previous, updateFields);
+            if (deepEqual(updated, previous)) continue;
+            const hooked = await this.runBeforeHooks(collectionName, 'beforeUpdate', updated, previous);
+            if (deepEqual(hooked, previous)) continue;
+            const document = stampUpdated(previous, hooked, schemaOptions);
+            this.validateUpdatedDocument(collectionName, document);
+            changes.push({ index, document, previous });
         }
+        this.checkUniqueConstraints(collectionName, collection, changes);
 
-        const sessionToken = this.generateSessionToken();
-        
-        ws.sessionToken = sessionToken;
-        ws.isAuthenticated = true;
-        
-        this.sessions.set(sessionToken, {
-            username,
-            timestamp: Date.now()
-        });
+        if (changes.length > 0) {
+            this.applyMutation(collectionName, { type: 'update', changes });
+        }
+        changes.forEach(({ document, previous }) => this.runAfterHooks(collectionName, 'afterUpdate', document, previous));
+        return { matchedCount: matches.length, modifiedCount: changes.length, upsertedCount: 0, upsertedId: null };
+    }
 
-        this.sendSuccess(ws, { sessionToken }, requestId);
+    applyUpdateFields(document, updateFields) {
+        return applyUpdate(document, updateFields, {
+            matches: (element, condition) => this.matchesCondition(element, condition)
+        });
     }
 
-    generateSessionToken() {
-        return crypto.randomBytes(32).toString('hex');
+    // A $pull condition is either operators applied to the element itself,
+    // or a query matched against an element that is a document
+    matchesCondition(element, condition) {
+        if (Object.keys(condition).every(key => key.startsWith('$'))) {
+            return this.matchOperators(element, condition);
+        }
+        return typeof element === 'object' && element !== null && this.matchQuery(element, condition);
     }
 
-    encrypt(data, key) {
-        const iv = crypto.randomBytes(16);
-        const cipher = crypto.createCipheriv(ENCRYPTION_ALGORITHM, key, iv);
-        let encrypted = cipher.update(data, 'utf8', 'hex');
-        encrypted += cipher.final('hex');
-        return iv.toString('hex') + ':' + encrypted;
+    async deleteOne(collectionName, query, options = {}) {
+        return this.deleteMatching(collectionName, query, { ...options, limit: 1 });
     }
 
-    decrypt(data, key) {
-        const [ivHex, encryptedData] = data.split(':');
-        const iv = Buffer.from(ivHex, 'hex');
-        const decipher = crypto.createDecipheriv(ENCRYPTION_ALGORITHM, key, iv);
-        let decrypted = decipher.update(encryptedData, 'hex', 'utf8');
-        decrypted += decipher.final('utf8');
-        return decrypted;
+    async deleteMany(collectionName, query) {
+        return this.deleteMatching(collectionName, query);
     }
 
-    handleRequest(event, ws) {
-        console.log('Handling request:', event.type);
-        try {
-            const { requestId } = event;
-            switch (event.type) {
-                case 'CreateSchema':
-                    console.log('Processing CreateSchema request');
-                    this.createSchema(event.data, ws, requestId);
-                    break;
-                case 'UpdateSchema':
-                    console.log('Processing UpdateSchema request');
-                    this.updateSchema(event.data, ws, requestId);
-                    break;
-                case 'Query':
-                    console.log('Processing Query request:', event.data.operation);
-                    this.handleQuery(event.data, ws, requestId);
-                    break;
-                default:
-                    console.log('Unknown event type:', event.type);
-                    this.sendError(ws, 'Unknown event type', requestId);
-            }
-        } catch (error) {
-            console.error('Error handling event:', error);
-            this.sendError(ws, error.message, event.requestId);
-        }
+    async deleteById(collectionName, id, options = {}) {
+        checkId(id);
+        return this.deleteOne(collectionName, { _id: id }, options);
     }
 
-    async createSchema(data, ws, requestId) {
-        const { collectionName, schemaDefinition } = data;
-        if (!this.validateSchemaData(collectionName, schemaDefinition)) {
-            this.sendError(ws, 'Invalid schema data', requestId);
-            return;
+    // expectedVersion only applies with limit 1
+    async deleteMatching(collectionName, query, { limit = Infinity, expectedVersion } = {}) {
+        checkExpectedVersion(expectedVersion);
+        const collection = this.readCollection(collectionName);
+        const indexes = this.findMatching(collectionName, collection, query, limit);
+        indexes.forEach(index => checkVersion(collection[index], expectedVersion));
+        for (const index of indexes) {
+            await this.runBeforeHooks(collectionName, 'beforeDelete', collection[index]);
         }
 
-        try {
-            this.schemas.set(collectionName, schemaDefinition);
-            const schemaPath = path.join(schemaDirectory, `${collectionName}.json`);
-            fs.writeFileSync(schemaPath, JSON.stringify(schemaDefinition, null, 2));
-            this.sendSuccess(ws, 'Schema created successfully', requestId);
-        } catch (error) {
-            this.sendError(ws, `Failed to create schema: ${error.message}`, requestId);
+        if (indexes.length > 0) {
+            this.applyMutation(collectionName, {
+                type: 'delete',
+                indexes,
+                documents: indexes.map(index => collection[index])
+            });
         }
+        indexes.forEach(index => this.runAfterHooks(collectionName, 'afterDelete', collection[index]));
+        return { deletedCount: indexes.length };
     }
 
-    async updateSchema(data, ws, requestId) {
-        const { collectionName, schemaDefinition } = data;
-        if (!this.validateSchemaData(collectionName, schemaDefinition)) {
-            this.sendError(ws, 'Invalid schema data', requestId);
-            return;
-        }
+    // Hooks get copies, so they can't change stored documents behind the
+    // server's back. previous is the document before an update.
+    hookContext(collectionName, hook, previous) {
+        const canWrite = hook.startsWith('after');
+        return {
+            collectionName,
+            hook,
+            previous: previous === undefined ? undefined : cloneDocument(previous),
+            query: (name, operation, params = {}) => this.hookQuery(name, operation, params, canWrite)
+        };
+    }
 
-        try {
-            this.schemas.set(collectionName, schemaDefinition);
-            const schemaPath = path.join(schemaDirectory, `${collectionName}.json`);
-            fs.writeFileSync(schemaPath, JSON.stringify(schemaDefinition, null, 2));
-            this.sendSuccess(ws, 'Schema updated successfully', requestId);
-        } catch (error) {
-            this.sendError(ws, `Failed to update schema: ${error.message}`, requestId);
-        }
+    async runBeforeHooks(collectionName, hook, document, previous) {
+        if (!this.hooks.has(collectionName, hook)) return document;
+        return this.hooks.runBefore(cloneDocument(document), this.hookContext(collectionName, hook, previous));
     }
 
-    validateSchemaData(collectionName, schemaDefinition) {
-        return (
-            typeof collectionName === 'string' &&
-            collectionName.length > 0  &&
-            typeof schemaDefinition === 'object' &&
-            Object.keys(schemaDefinition).length > 0
-        );
+    // Not awaited: the write is already done, and the hooks may write to the
+    // collection the caller still holds the lock of
+    runAfterHooks(collectionName, hook, document, previous) {
+        if (!this.hooks.has(collectionName, hook)) return;
+        this.hooks.runAfter(cloneDocument(document), this.hookContext(collectionName, hook, previous));
     }
 
-    async handleQuery(data, ws, requestId) {
-        const { collectionName, operation, ...params } = data;
-        if (!this.validateQueryData(collectionName, operation, params)) {
-            this.sendError(ws, 'Invalid query data', requestId);
-            return;
+    // Runs an operation for a hook, without permission checks. Before hooks
+    // can only read: they run while the collection is locked.
+    async hookQuery(collectionName, operation, params, canWrite) {
+        if (!QUERY_OPERATIONS.includes(operation)) {
+            throw new Error(`Invalid operation "${operation}"`);
         }
-
-        try {
-            const schema = this.schemas.get(collectionName);
-            if (!schema) {
-                throw new Error(`Schema for collection "${collectionName}" not found`);
-            }
-
-            let result;
-            switch (operation) {
-                case 'insertOne':
-                    result = await this.insertOne(collectionName, params.document, schema);
-                    break;
-                case 'insertMany':
-                    result = await this.insertMany(collectionName, params.documents, schema);
-                    break;
-                case 'find':
-                    result = await this.find(collectionName, params.query || {});
-                    break;
-                case 'findOne':
-                    result = await this.findOne(collectionName, params.query || {});
-                    break;
-                case 'updateOne':
-                    result = await this.updateOne(collectionName, params.query, params.updateFields);
-                    break;
-                case 'updateMany':
-                    result = await this.updateMany(collectionName, params.query, params.updateFields);
-                    break;
-                case 'deleteOne':
-                    result = await this.deleteOne(collectionName, params.query);
-                    break;
-                case 'deleteMany':
-                    result = await this.deleteMany(collectionName, params.query);
-                    break;
-                default:
-                    throw new Error('Invalid operation');
-            }
-            this.sendSuccess(ws, result, requestId);
-        } catch (error) {
-            this.sendError(ws, error.message, requestId);
+        if (!this.schemas.has(collectionName)) {
+            throw schemaNotFound(collectionName);
+        }
+        if (!WRITE_OPERATIONS.includes(operation)) {
+            return (await this.executeQuery(collectionName, operation, params)).result;
+        }
+        if (!canWrite) {
+            throw new Error('Before hooks can only read; write from an after hook');
         }
+        return (await this.withCollectionLocks([collectionName], () => this.executeQuery(collectionName, operation, params))).result;
     }
 
-    validateQueryData(collectionName, operation, params) {
-        const validOperations = ['insertOne', 'insertMany', 'find', 'findOne', 'updateOne', 'updateMany', 'deleteOne', 'deleteMany'];
-        return (
-            typeof collectionName === 'string' &&
-            collectionName.length > 0 &&
-            validOperations.includes(operation) &&
-            typeof params === 'object'
-        );
+    readCollection(collectionName, encryptedFields = this.encryptedFields(collectionName)) {
+        return this.storage.read(collectionName).map(doc => this.keyring.decryptDocument(doc, encryptedFields));
     }
 
-    async insertOne(collectionName, document, schema) {
-        const validatedDocument = this.validateAndApplyDefaults(document, schema);
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        let collection = [];
-        if (fs.existsSync(collectionPath)) {
-            collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
+    // The collection without the documents that have expired but haven't
+    // been purged yet
+    readLiveCollection(collectionName) {
+        const { ttl } = this.schemaOptions.get(collectionName) || {};
+        const collection = this.readCollection(collectionName);
+        if (!ttl) return collection;
+        const now = Date.now();
+        return collection.filter(document => !isExpired(document, ttl, now));
+    }
+
+    getIndexes(collectionName, collection) {
+        const indexes = this.indexes.get(collectionName);
+        if (indexes && indexes.size === collection.length) {
+            return indexes;
         }
+        return this.buildIndexes(collectionName, collection);
+    }
 
-        // Check for unique constraints
-        for (const [field, fieldSchema] of Object.entries(schema)) {
-            if (fieldSchema.unique && validatedDocument[field] !== undefined) {
-                const isDuplicate = collection.some(doc => doc[field] === validatedDocument[field]);
-                if (isDuplicate) {
-                    throw new Error(`Duplicate value for unique field "${field}"`);
-                }
+    buildIndexes(collectionName, collection, schema = this.schemas.get(collectionName) || {}) {
+        const indexes = new CollectionIndexes(indexDefinitions(schema), textFieldDefinitions(schema));
+        indexes.build(collection);
+        for (const [field, index] of indexes.fields) {
+            const duplicate = index.unique && index.findDuplicate();
+            if (duplicate) {
+                throw new PyxiCloudError('DUPLICATE_KEY', `Duplicate value ${JSON.stringify(duplicate.value)} for unique field "${field}"`, {
+                    field,
+                    value: duplicate.value
+                });
             }
         }
-
-        collection.push(validatedDocument);
-        fs.writeFileSync(collectionPath, JSON.stringify(collection, null, 2));
-        return validatedDocument;
+        this.indexes.set(collectionName, indexes);
+        return indexes;
     }
 
-    async insertMany(collectionName, documents, schema) {
-        const validatedDocuments = documents.map(doc => this.validateAndApplyDefaults(doc, schema));
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        let collection = [];
-        if (fs.existsSync(collectionPath)) {
-            collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
-        }
-
-        // Check for unique constraints
-        for (const document of validatedDocuments) {
-            for (const [field, fieldSchema] of Object.entries(schema)) {
-                if (fieldSchema.unique && document[field] !== undefined) {
-                    const isDuplicate = collection.some(doc => doc[field] === document[field]);
-                    if (isDuplicate) {
-                        throw new Error(`Duplicate value for unique field "${field}"`);
-                    }
-                }
+    // Positions of the documents matching query, in collection order.
+    // Expired documents never match, even before they are purged.
+    findMatching(collectionName, collection, query, limit = Infinity) {
+        this.checkQueryPaths(query);
+        const candidates = this.getIndexes(collectionName, collection).candidates(query);
+        const positions = candidates
+            ? [...candidates].sort((a, b) => a - b)
+            : collection.keys();
+        const { ttl } = this.schemaOptions.get(collectionName) || {};
+        const now = Date.now();
+
+        const matches = [];
+        for (const position of positions) {
+            if (matches.length >= limit) break;
+            if (ttl && isExpired(collection[position], ttl, now)) continue;
+            if (this.matchQuery(collection[position], query)) {
+                matches.push(position);
             }
         }
-
-        collection.push(...validatedDocuments);
-        fs.writeFileSync(collectionPath, JSON.stringify(collection, null, 2));
-        return validatedDocuments;
+        return matches;
     }
 
-    validateAndApplyDefaults(document, schema) {
-        const validatedDocument = { ...document };
-        for (const [field, fieldSchema] of Object.entries(schema)) {
-            if (!(field in validatedDocument)) {
-                if ('default' in fieldSchema) {
-                    validatedDocument[field] = typeof fieldSchema.default === 'function' 
-                        ? fieldSchema.default() 
-                        : fieldSchema.default;
-                } else if (fieldSchema.required) {
-                    throw new Error(`Required field "${field}" is missing`);
+    // changes: [{ document, index }] where index is only set for updates
+    checkUniqueConstraints(collectionName, collection, changes) {
+        const indexes = this.getIndexes(collectionName, collection);
+        const changedPositions = new Set(changes.map(change => change.index).filter(index => index !== undefined));
+
+        for (const [field, index] of indexes.fields) {
+            if (!index.unique) continue;
+
+            const seen = new Set();
+            for (const { document } of changes) {
+                const value = resolvePath(document, field);
+                if (value === undefined) continue;
+
+                const holders = index.exact(value);
+                const isDuplicate = seen.has(value) ||
+                    (holders !== null && [...holders].some(position => !changedPositions.has(position)));
+                if (isDuplicate) {
+                    throw new PyxiCloudError('DUPLICATE_KEY', `Duplicate value for unique field "${field}"`, { field, value });
                 }
+                seen.add(value);
             }
         }
-        return validatedDocument;
     }
 
-    async find(collectionName, query) {
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        if (!fs.existsSync(collectionPath)) {
-            return [];
-        }
-        const collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
-        return collection.filter(doc => this.matchQuery(doc, query));
+    // Every data write goes through here so the storage engine, the indexes
+    // and the subscribers always see the same sequence of changes.
+    applyMutation(collectionName, mutation) {
+        this.applyMutations([{ collectionName, mutation }]);
     }
 
-    async findOne(collectionName, query) {
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        if (!fs.existsSync(collectionPath)) {
-            return null;
+    // Several mutations, possibly across collections, persisted all-or-nothing
+    applyMutations(entries) {
+        const storageEntries = entries.map(({ collectionName, mutation }) => ({
+            collection: collectionName,
+            mutation: this.toStorageMutation(collectionName, mutation)
+        }));
+        if (storageEntries.length === 1) {
+            this.storage.apply(storageEntries[0].collection, storageEntries[0].mutation);
+        } else if (storageEntries.length > 1) {
+            this.storage.applyBatch(storageEntries);
+        }
+        if (storageEntries.length > 0) {
+            this.recordChange({ batch: storageEntries });
         }
-        const collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
-        return collection.find(doc => this.matchQuery(doc, query)) || null;
+        entries.forEach(({ collectionName, mutation }) => this.afterMutation(collectionName, mutation));
     }
 
-    async updateOne(collectionName, query, updateFields) {
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        if (!fs.existsSync(collectionPath)) {
-            return { matchedCount: 0, modifiedCount: 0 };
+    // Strips what only the indexes and subscribers need and encrypts the
+    // schema's encrypted fields; everything in memory stays plaintext
+    toStorageMutation(collectionName, mutation) {
+        const fields = this.encryptedFields(collectionName);
+        const encryptDocument = doc => this.keyring.encryptDocument(doc, fields);
+        switch (mutation.type) {
+            case 'insert':
+                return { type: 'insert', documents: mutation.documents.map(encryptDocument) };
+            case 'update':
+                return {
+                    type: 'update',
+                    changes: mutation.changes.map(({ index, document }) => ({ index, document: encryptDocument(document) }))
+                };
+            case 'delete':
+                return { type: 'delete', indexes: mutation.indexes };
+            case 'replace':
+                return { type: 'replace', documents: mutation.documents.map(encryptDocument) };
+            case 'drop':
+                return { type: 'drop' };
+            default:
+                throw new Error(`Unknown mutation type: ${mutation.type}`);
         }
-        let collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
-        const schema = this.schemas.get(collectionName);
-
-        const index = collection.findIndex(doc => this.matchQuery(doc, query));
-        if (index !== -1) {
-            const updatedDocument = { ...collection[index], ...updateFields };
+    }
 
-            // Check for unique constraints
-            for (const [field, fieldSchema] of Object.entries(schema)) {
-                if (fieldSchema.unique && updateFields[field] !== undefined) {
-                    const isDuplicate = collection.some((doc, i) => 
-                        i !== index && doc[field] === updateFields[field]
-                    );
-                    if (isDuplicate) {
-                        throw new Error(`Duplicate value for unique field "${field}"`);
-                    }
-                }
-            }
+    // Counted once from storage, so status requests and metrics scrapes
+    // don't read every collection
+    documentCount(collectionName) {
+        if (!this.documentCounts.has(collectionName)) {
+            this.documentCounts.set(collectionName, this.storage.read(collectionName).length);
+        }
+        return this.documentCounts.get(collectionName);
+    }
 
-            collection[index] = updatedDocument;
-            fs.writeFileSync(collectionPath, JSON.stringify(collection, null, 2));
-            return { matchedCount: 1, modifiedCount: 1 };
+    updateDocumentCount(collectionName, mutation) {
+        const count = this.documentCounts.get(collectionName);
+        if (count === undefined) return;
+        switch (mutation.type) {
+            case 'insert':
+                this.documentCounts.set(collectionName, count + mutation.documents.length);
+                break;
+            case 'delete':
+                this.documentCounts.set(collectionName, count - mutation.indexes.length);
+                break;
+            case 'replace':
+                this.documentCounts.set(collectionName, mutation.documents.length);
+                break;
+            case 'drop':
+                this.documentCounts.delete(collectionName);
+                break;
         }
-        return { matchedCount: 0, modifiedCount: 0 };
     }
 
-    async updateMany(collectionName, query, updateFields) {
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        if (!fs.existsSync(collectionPath)) {
-            return { matchedCount: 0, modifiedCount: 0 };
+    afterMutation(collectionName, mutation) {
+        this.updateDocumentCount(collectionName, mutation);
+        const indexes = this.indexes.get(collectionName);
+        switch (mutation.type) {
+            case 'insert':
+                if (indexes) {
+                    mutation.documents.forEach(document => indexes.insert(document));
+                }
+                this.notifySubscribers(collectionName, 'insert', mutation.documents.map(document => ({ document })));
+                break;
+            case 'update':
+                if (indexes) {
+                    mutation.changes.forEach(({ index, document, previous }) => indexes.update(index, previous, document));
+                }
+                this.notifySubscribers(collectionName, 'update', mutation.changes.map(({ document, previous }) => ({ document, previous })));
+                break;
+            case 'delete':
+                // Positions shift after a delete, so the indexes are rebuilt on next use
+                this.indexes.delete(collectionName);
+                this.notifySubscribers(collectionName, 'delete', mutation.documents.map(document => ({ document })));
+                break;
+            case 'replace':
+                this.indexes.delete(collectionName);
+                this.notifySubscribers(collectionName, 'replace', mutation.documents.map(document => ({ document })));
+                break;
+            case 'drop':
+                this.indexes.delete(collectionName);
+                this.notifySubscribers(collectionName, 'delete', mutation.documents.map(document => ({ document })));
+                break;
         }
-        let collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
-        const schema = this.schemas.get(collectionName);
+    }
 
-        let modifiedCount = 0;
-        const updatedCollection = collection.map((doc, index) => {
-            if (this.matchQuery(doc, query)) {
-                const updatedDocument = { ...doc, ...updateFields };
-
-                // Check for unique constraints
-                for (const [field, fieldSchema] of Object.entries(schema)) {
-                    if (fieldSchema.unique && updateFields[field] !== undefined) {
-                        const isDuplicate = collection.some((otherDoc, i) => 
-                            i !== index && otherDoc[field] === updateFields[field]
-                        );
-                        if (isDuplicate) {
-                            throw new Error(`Duplicate value for unique field "${field}"`);
+    matchQuery(doc, query) {
+        for (const [key, value] of Object.entries(query)) {
+            switch (key) {
+                case '$and':
+                    if (!this.logicalConditions(key, value).every(condition => this.matchQuery(doc, condition))) return false;
+                    break;
+                case '$or':
+                    if (!this.logicalConditions(key, value).some(condition => this.matchQuery(doc, condition))) return false;
+                    break;
+                case '$nor':
+                    if (this.logicalConditions(key, value).some(condition => this.matchQuery(doc, condition))) return false;
+                    break;
+                default: {
+                    if (key.startsWith('$')) {
+                        throw new Error(`Unsupported operator: ${key}`);
+                    }
+                    const fieldValue = resolvePath(doc, key);
+                    if (this.isOperatorObject(value)) {
+                        if (!this.matchOperators(fieldValue, value)) {
+                            return false;
                         }
+                    } else if (!this.valueEquals(fieldValue, value)) {
+                        return false;
                     }
                 }
-
-                modifiedCount++;
-                return updatedDocument;
             }
-            return doc;
-        });
+        }
+        return true;
+    }
 
-        fs.writeFileSync(collectionPath, JSON.stringify(updatedCollection, null, 2));
-        return { matchedCount: modifiedCount, modifiedCount };
+    // Field paths are checked up front, even where no document is matched
+    checkQueryPaths(query) {
+        for (const [key, value] of Object.entries(query)) {
+            if (['$and', '$or', '$nor'].includes(key)) {
+                this.logicalConditions(key, value).forEach(condition => this.checkQueryPaths(condition));
+            } else if (!key.startsWith('$')) {
+                checkPath(key);
+            }
+        }
     }
 
-    async deleteOne(collectionName, query) {
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        if (!fs.existsSync(collectionPath)) {
-            return { deletedCount: 0 };
+    logicalConditions(operator, conditions) {
+        if (!Array.isArray(conditions) || conditions.length === 0) {
+            throw new Error(`${operator} requires a non-empty array of conditions`);
         }
-        let collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
-        const initialLength = collection.length;
-        collection = collection.filter(doc => !this.matchQuery(doc, query));
-        fs.writeFileSync(collectionPath, JSON.stringify(collection, null, 2));
-        return { deletedCount: initialLength - collection.length };
+        return conditions;
     }
 
-    async deleteMany(collectionName, query) {
-        const collectionPath = path.join(collectionsDirectory, `${collectionName}.json`);
-        if (!fs.existsSync(collectionPath)) {
-            return { deletedCount: 0 };
+    isOperatorObject(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) {
+            return false;
         }
-        let collection = JSON.parse(fs.readFileSync(collectionPath, 'utf-8'));
-        const initialLength = collection.length;
-        collection = collection.filter(doc => !this.matchQuery(doc, query));
-        fs.writeFileSync(collectionPath, JSON.stringify(collection, null, 2));
-        return { deletedCount: initialLength - collection.length };
+        const keys = Object.keys(value);
+        const operatorKeys = keys.filter(key => key.startsWith('$'));
+        if (operatorKeys.length > 0 && operatorKeys.length !== keys.length) {
+            throw new Error('Cannot mix operators and fields in the same condition');
+        }
+        return operatorKeys.length > 0;
     }
 
-    matchQuery(doc, query) {
-        for (const [key, value] of Object.entries(query)) {
-            if (typeof value === 'object' && value !== null) {
-                if (!this.matchOperators(doc[key], value)) {
-                    return false;
-                }
-            } else if (doc[key] !== value) {
-                return false;
-            }
+    // Equal values, or an array field containing the value
+    valueEquals(fieldValue, value) {
+        return deepEqual(fieldValue, value) ||
+            (Array.isArray(fieldValue) && fieldValue.some(element => deepEqual(element, value)));
+    }
+
+    // Relational operators match an array field if any element satisfies them
+    compareValues(fieldValue, compare) {
+        if (Array.isArray(fieldValue)) {
+            return fieldValue.some(element => compare(element));
         }
-        return true;
+        return compare(fieldValue);
     }
 
     matchOperators(fieldValue, operators) {
         for (const [operator, operand] of Object.entries(operators)) {
             switch (operator) {
                 case '$eq':
-                    if (fieldValue !== operand) return false;
+                    if (!this.valueEquals(fieldValue, operand)) return false;
                     break;
                 case '$ne':
-                    if (fieldValue === operand) return false;
+                    if (this.valueEquals(fieldValue, operand)) return false;
                     break;
                 case '$gt':
-                    if (!(fieldValue > operand)) return false;
+                    if (!this.compareValues(fieldValue, value => value > operand)) return false;
                     break;
                 case '$gte':
-                    if (!(fieldValue >= operand)) return false;
+                    if (!this.compareValues(fieldValue, value => value >= operand)) return false;
                     break;
                 case '$lt':
-                    if (!(fieldValue < operand)) return false;
+                    if (!this.compareValues(fieldValue, value => value < operand)) return false;
                     break;
                 case '$lte':
-                    if (!(fieldValue <= operand)) return false;
+                    if (!this.compareValues(fieldValue, value => value <= operand)) return false;
                     break;
                 case '$in':
-                    if (!Array.isArray(operand) || !operand.includes(fieldValue)) return false;
+                    if (!Array.isArray(operand) || !operand.some(value => this.valueEquals(fieldValue, value))) return false;
                     break;
                 case '$nin':
-                    if (!Array.isArray(operand) || operand.includes(fieldValue)) return false;
+                    if (!Array.isArray(operand) || operand.some(value => this.valueEquals(fieldValue, value))) return false;
+                    break;
+                case '$exists':
+                    if ((fieldValue !== undefined) !== Boolean(operand)) return false;
+                    break;
+                case '$not':
+                    if (!this.isOperatorObject(operand)) {
+                        throw new Error('$not requires an operator expression');
+                    }
+                    if (this.matchOperators(fieldValue, operand)) return false;
+                    break;
+                case '$regex': {
+                    const regex = this.compileRegex(operand, operators.$options);
+                    if (!this.compareValues(fieldValue, value => typeof value === 'string' && regex.test(value))) return false;
+                    break;
+                }
+                case '$options':
+                    if (!('$regex' in operators)) {
+                        throw new Error('$options requires $regex');
+                    }
+                    break;
+                case '$size':
+                    if (!Array.isArray(fieldValue) || fieldValue.length !== operand) return false;
+                    break;
+                case '$all':
+                    if (!Array.isArray(operand)) {
+                        throw new Error('$all requires an array');
+                    }
+                    if (!Array.isArray(fieldValue) || !operand.every(value => fieldValue.some(element => deepEqual(element, value)))) return false;
+                    break;
+                case '$elemMatch':
+                    if (typeof operand !== 'object' || operand === null) {
+                        throw new Error('$elemMatch requires an object');
+                    }
+                    if (!Array.isArray(fieldValue) || !fieldValue.some(element => this.matchesCondition(element, operand))) return false;
                     break;
                 default:
                     throw new Error(`Unsupported operator: ${operator}`);
@@ -594,27 +3231,87 @@ class PyxiCloudServer {
         return true;
     }
 
-    sendSuccess(ws, data, requestId) {
+    compileRegex(pattern, options = '') {
+        if (typeof pattern !== 'string' || typeof options !== 'string' || !/^[imsu]*$/.test(options)) {
+            throw new Error('$regex requires a pattern string and $options made of i, m, s or u');
+        }
+        const key = `${options}/${pattern}`;
+        let regex = this.regexCache.get(key);
+        if (!regex) {
+            try {
+                regex = new RegExp(pattern, options);
+            } catch (error) {
+                throw new Error(`Invalid $regex: ${error.message}`);
+            }
+            if (this.regexCache.size >= 1000) {
+                this.regexCache.clear();
+            }
+            this.regexCache.set(key, regex);
+        }
+        return regex;
+    }
+
+    sendSuccess(ws, data, requestId, meta = {}) {
         const response = JSON.stringify({ 
             status: 'success', 
             data,
+            ...meta,
             requestId 
         });
+        this.finishRequest(ws, requestId, { status: 'success', data });
         ws.send(response);
     }
 
-    sendError(ws, message, requestId) {
+    sendEvent(ws, type, payload) {
+        ws.send(JSON.stringify({ type, ...payload }));
+    }
+
+    // Every failure is sent as { status: 'error', code, message, details,
+    // requestId }; see errors.js for the codes. context prefixes the
+    // message, details are added to the error's own.
+    sendError(ws, error, requestId, context, details) {
+        const described = describeError(error);
+        const allDetails = described.details || details ? { ...described.details, ...details } : undefined;
         const response = JSON.stringify({ 
             status: 'error', 
-            message,
+            code: described.code,
+            message: context ? `${context}: ${error.message}` : error.message,
+            details: allDetails,
+            // Validation errors were sent here before details existed
+            errors: allDetails && allDetails.errors,
             requestId 
         });
+        this.finishRequest(ws, requestId, { status: 'error', code: described.code });
         ws.send(response);
     }
 }
 
-const server = new PyxiCloudServer();
-server.start();
-server.startHeartbeat();
+// Only started when run directly; cli.js loads the class to work offline
+if (require.main === module) {
+    const server = new PyxiCloudServer();
+    server.start().catch(error => {
+        logger.error('Failed to start server', { error });
+        process.exit(1);
+    });
+    server.startHeartbeat();
+
+    // kill -HUP reloads the IP access lists and the hooks
+    process.on('SIGHUP', () => {
+        try {
+            server.reloadAccessLists();
+        } catch (error) {
+            logger.error('Failed to reload access lists', { error });
+        }
+        server.hooks.load();
+    });
+
+    ['SIGINT', 'SIGTERM'].forEach(signal => {
+        process.on(signal, () => {
+            logger.info('Shutting down', { signal });
+            server.stop();
+            process.exit(0);
+        });
+    });
+}
 
 module.exports = PyxiCloudServer;
\ No newline at end of file
@@ -0,0 +1,230 @@
+// aggregate.js
+const { checkPath, resolvePath, setPath, isPlainObject } = require('./paths');
+const { compareValues, checkSort, sortEntries, applyProjection } = require('./results');
+
+const ACCUMULATORS = ['$sum', '$avg', '$min', '$max', '$count', '$push'];
+
+// '$field.path' reads a value from the document, objects are evaluated key by
+// key and anything else is a literal.
+function evaluate(doc, expression) {
+    if (typeof expression === 'string' && expression.startsWith('$')) {
+        return resolvePath(doc, expression.slice(1));
+    }
+    if (isPlainObject(expression)) {
+        const result = {};
+        for (const [key, value] of Object.entries(expression)) {
+            result[key] = evaluate(doc, value);
+        }
+        return result;
+    }
+    return expression;
+}
+
+function project(documents, spec) {
+    if (!isPlainObject(spec) || Object.keys(spec).length === 0) {
+        throw new Error('$project requires a non-empty object');
+    }
+    const isFlag = value => value === 0 || value === 1 || typeof value === 'boolean';
+    const flags = {};
+    const computed = {};
+    for (const [field, value] of Object.entries(spec)) {
+        checkPath(field);
+        if (isFlag(value)) {
+            flags[field] = value;
+        } else {
+            computed[field] = value;
+        }
+    }
+
+    const excluding = Object.entries(flags).some(([field, value]) => field !== '_id' && !value);
+    if (excluding && Object.keys(computed).length > 0) {
+        throw new Error('$project cannot mix excluded and computed fields');
+    }
+
+    return documents.map(doc => {
+        const projected = Object.keys(flags).length > 0 || Object.keys(computed).length === 0
+            ? applyProjection(doc, flags)
+            : (doc._id !== undefined ? { _id: doc._id } : {});
+        for (const [field, expression] of Object.entries(computed)) {
+            const value = evaluate(doc, expression);
+            if (value !== undefined) {
+                setPath(projected, field, value);
+            }
+        }
+        return projected;
+    });
+}
+
+function group(documents, spec) {
+    if (!isPlainObject(spec) || !('_id' in spec)) {
+        throw new Error('$group requires an _id expression');
+    }
+    const accumulators = Object.entries(spec).filter(([field]) => field !== '_id');
+    for (const [field, accumulator] of accumulators) {
+        checkPath(field);
+        const operators = isPlainObject(accumulator) ? Object.keys(accumulator) : [];
+        if (operators.length !== 1 || !ACCUMULATORS.includes(operators[0])) {
+            throw new Error(`$group field "${field}" must use one of ${ACCUMULATORS.join(', ')}`);
+        }
+    }
+
+    const groups = new Map();
+    for (const doc of documents) {
+        const key = evaluate(doc, spec._id);
+        const groupKey = JSON.stringify(key === undefined ? null : key);
+        if (!groups.has(groupKey)) {
+            groups.set(groupKey, { key: key === undefined ? null : key, documents: [] });
+        }
+        groups.get(groupKey).documents.push(doc);
+    }
+
+    return [...groups.values()].map(({ key, documents: members }) => {
+        const result = { _id: key };
+        for (const [field, accumulator] of accumulators) {
+            const [operator, expression] = Object.entries(accumulator)[0];
+            const values = members.map(doc => evaluate(doc, expression));
+            result[field] = accumulate(operator, values, members.length);
+        }
+        return result;
+    });
+}
+
+function accumulate(operator, values, count) {
+    const numbers = values.filter(value => typeof value === 'number');
+    const defined = values.filter(value => value !== undefined && value !== null);
+    switch (operator) {
+        case '$sum':
+            return numbers.reduce((total, value) => total + value, 0);
+        case '$avg':
+            return numbers.length > 0 ? numbers.reduce((total, value) => total + value, 0) / numbers.length : null;
+        case '$min':
+            return defined.length > 0 ? defined.reduce((min, value) => compareValues(value, min) < 0 ? value : min) : null;
+        case '$max':
+            return defined.length > 0 ? defined.reduce((max, value) => compareValues(value, max) > 0 ? value : max) : null;
+        case '$count':
+            return count;
+        case '$push':
+            return values.filter(value => value !== undefined);
+    }
+}
+
+function unwind(documents, spec) {
+    const options = typeof spec === 'string' ? { path: spec } : spec;
+    if (!isPlainObject(options) || typeof options.path !== 'string' || !options.path.startsWith('$')) {
+        throw new Error('$unwind requires a field path starting with $');
+    }
+    const field = options.path.slice(1);
+    checkPath(field);
+    if (options.includeArrayIndex) checkPath(options.includeArrayIndex);
+
+    const results = [];
+    for (const doc of documents) {
+        const value = resolvePath(doc, field);
+        if (!Array.isArray(value) || value.length === 0) {
+            if (options.preserveNullAndEmptyArrays) {
+                results.push(doc);
+            } else if (value !== undefined && value !== null && !Array.isArray(value)) {
+                // A non-array value is treated as a single-element array
+                results.push(doc);
+            }
+            continue;
+        }
+        value.forEach((element, index) => {
+            const unwound = JSON.parse(JSON.stringify(doc));
+            setPath(unwound, field, element);
+            if (options.includeArrayIndex) {
+                setPath(unwound, options.includeArrayIndex, index);
+            }
+            results.push(unwound);
+        });
+    }
+    return results;
+}
+
+function lookup(documents, spec, readCollection) {
+    const { from, localField, foreignField, as } = spec || {};
+    if (![from, localField, foreignField, as].every(value => typeof value === 'string' && value.length > 0)) {
+        throw new Error('$lookup requires from, localField, foreignField and as');
+    }
+    [localField, foreignField, as].forEach(checkPath);
+    const foreign = readCollection(from);
+
+    return documents.map(doc => {
+        const localValue = resolvePath(doc, localField);
+        const localValues = Array.isArray(localValue) ? localValue : [localValue];
+        const matches = foreign.filter(other => {
+            const foreignValue = resolvePath(other, foreignField);
+            const foreignValues = Array.isArray(foreignValue) ? foreignValue : [foreignValue];
+            return foreignValues.some(value => localValues.some(local => compareValues(local, value) === 0));
+        });
+        const joined = { ...doc };
+        setPath(joined, as, matches);
+        return joined;
+    });
+}
+
+function nonNegativeInteger(value, stage) {
+    if (!Number.isInteger(value) || value < 0) {
+        throw new Error(`${stage} requires a non-negative integer`);
+    }
+    return value;
+}
+
+// Runs the pipeline over documents. match(doc, query) is the server's query
+// matcher and readCollection(name) loads the target of a $lookup.
+function runPipeline(documents, pipeline, { match, readCollection }) {
+    if (!Array.isArray(pipeline)) {
+        throw new Error('pipeline must be an array of stages');
+    }
+
+    let results = documents;
+    for (const stage of pipeline) {
+        const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+        if (keys.length !== 1) {
+            throw new Error('Each pipeline stage must have exactly one operator');
+        }
+        const [operator] = keys;
+        const spec = stage[operator];
+
+        switch (operator) {
+            case '$match':
+                if (!isPlainObject(spec)) throw new Error('$match requires a query object');
+                results = results.filter(doc => match(doc, spec));
+                break;
+            case '$project':
+                results = project(results, spec);
+                break;
+            case '$group':
+                results = group(results, spec);
+                break;
+            case '$sort':
+                checkSort(spec);
+                results = sortEntries(results.map((document, index) => ({ document, tieBreaker: index })), spec)
+                    .map(entry => entry.document);
+                break;
+            case '$limit':
+                results = results.slice(0, nonNegativeInteger(spec, '$limit'));
+                break;
+            case '$skip':
+                results = results.slice(nonNegativeInteger(spec, '$skip'));
+                break;
+            case '$unwind':
+                results = unwind(results, spec);
+                break;
+            case '$lookup':
+                results = lookup(results, spec, readCollection);
+                break;
+            case '$count':
+                if (typeof spec !== 'string' || spec.length === 0) throw new Error('$count requires a field name');
+                results = [{ [spec]: results.length }];
+                break;
+            default:
+                throw new Error(`Unsupported pipeline stage: ${operator}`);
+        }
+    }
+    return results;
+}
+
+module.exports = {
+    runPipeline
+};
@@ -0,0 +1,58 @@
+// audit.js
+const fs = require('fs');
+
+// Append-only record of who did what, one JSON line per request:
+//   { time, user, ip, sessionId, type, collectionName, operation, query, id,
+//     target, status, code, counts, durationMs }
+// Fields that don't apply are left out. Lines are encoded like the other
+// data files, so they are encrypted too with encryptFiles. The file is only
+// ever appended to; rotate it with the server stopped.
+const AUDIT_MODES = ['off', 'writes', 'all'];
+
+class AuditLog {
+    constructor({ filePath, mode = 'off', codec }) {
+        if (!AUDIT_MODES.includes(mode)) {
+            throw new Error(`auditLog must be one of ${AUDIT_MODES.join(', ')}`);
+        }
+        this.filePath = filePath;
+        this.mode = mode;
+        this.codec = codec;
+        this.fd = null;
+    }
+
+    get enabled() {
+        return this.mode !== 'off';
+    }
+
+    open() {
+        if (this.enabled && this.fd === null) {
+            this.fd = fs.openSync(this.filePath, 'a');
+        }
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    // Reads are only recorded in 'all' mode
+    shouldRecord(isRead) {
+        return this.fd !== null && (this.mode === 'all' || !isRead);
+    }
+
+    record(entry) {
+        const line = { time: new Date().toISOString() };
+        for (const [key, value] of Object.entries(entry)) {
+            if (value !== undefined && value !== null) {
+                line[key] = value;
+            }
+        }
+        fs.writeSync(this.fd, this.codec.encode(JSON.stringify(line)) + '\n');
+    }
+}
+
+module.exports = {
+    AuditLog
+};
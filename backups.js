@@ -0,0 +1,213 @@
+// backups.js
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage');
+const { PyxiCloudError } = require('./errors');
+
+// Each backup is a directory:
+//   manifest.json           { id, createdAt, journalSeq, compressed, partial, collections, schemas, files }
+//   schemas/<name>.json     copies of the schema files
+//   collections/<name>.json copies of the collection files, as the storage engine wrote them
+// Files get a .gz suffix when compressed. The manifest holds the size and
+// SHA-256 checksum of every file, which are checked before a restore.
+// Backups from before manifests existed only hold flat collection files.
+const MANIFEST_FILE = 'manifest.json';
+const BACKUP_ID_PATTERN = /^backup_[\w.-]+$/;
+
+function checksum(buffer) {
+    return crypto.createHash('sha256').update(buffer).digest('hex');
+}
+
+function listJsonFiles(directory) {
+    if (!fs.existsSync(directory)) {
+        return [];
+    }
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+}
+
+class BackupManager {
+    // codec decodes and encodes collection files, like the storage engine's
+    constructor({ directory, compress = false, codec }) {
+        this.directory = directory;
+        this.compress = compress;
+        this.codec = codec;
+    }
+
+    backupPath(id) {
+        if (typeof id !== 'string' || !BACKUP_ID_PATTERN.test(id)) {
+            throw new Error(`Invalid backup id "${id}"`);
+        }
+        return path.join(this.directory, id);
+    }
+
+    // collections: names to include, or null for everything
+    create({ collectionsDirectory, schemaDirectory, collections = null, journalSeq = null }) {
+        const createdAt = new Date();
+        let id = `backup_${createdAt.toISOString().replace(/:/g, '-')}`;
+        for (let suffix = 1; fs.existsSync(path.join(this.directory, id)); suffix++) {
+            id = `backup_${createdAt.toISOString().replace(/:/g, '-')}_${suffix}`;
+        }
+        const backupPath = path.join(this.directory, id);
+        const included = name => collections === null || collections.includes(name);
+        const schemaNames = listJsonFiles(schemaDirectory).filter(included);
+        const collectionNames = listJsonFiles(collectionsDirectory).filter(included);
+
+        // Written to a temporary directory and renamed, so a failed backup
+        // never shows up in ListBackups
+        const stagingPath = path.join(this.directory, `.${id}.tmp`);
+        fs.rmSync(stagingPath, { recursive: true, force: true });
+        fs.mkdirSync(path.join(stagingPath, 'schemas'), { recursive: true });
+        fs.mkdirSync(path.join(stagingPath, 'collections'), { recursive: true });
+
+        const files = {};
+        const copy = (sourcePath, relativePath) => {
+            let contents = fs.readFileSync(sourcePath);
+            if (this.compress) {
+                contents = zlib.gzipSync(contents);
+                relativePath += '.gz';
+            }
+            fs.writeFileSync(path.join(stagingPath, relativePath), contents);
+            files[relativePath] = { size: contents.length, sha256: checksum(contents) };
+        };
+        schemaNames.forEach(name => copy(path.join(schemaDirectory, `${name}.json`), `schemas/${name}.json`));
+        collectionNames.forEach(name => copy(path.join(collectionsDirectory, `${name}.json`), `collections/${name}.json`));
+
+        const manifest = {
+            id,
+            createdAt: createdAt.toISOString(),
+            journalSeq,
+            compressed: this.compress,
+            partial: collections !== null,
+            collections: collectionNames,
+            schemas: schemaNames,
+            files
+        };
+        writeFileAtomic(path.join(stagingPath, MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+        fs.renameSync(stagingPath, backupPath);
+        return manifest;
+    }
+
+    get(id) {
+        const backupPath = this.backupPath(id);
+        if (!fs.existsSync(backupPath)) {
+            throw new PyxiCloudError('NOT_FOUND', `Backup "${id}" not found`, { resource: 'backup', name: id });
+        }
+        const manifestPath = path.join(backupPath, MANIFEST_FILE);
+        if (fs.existsSync(manifestPath)) {
+            return JSON.parse(fs.readFileSync(manifestPath, 'utf-8'));
+        }
+        return {
+            id,
+            createdAt: fs.statSync(backupPath).mtime.toISOString(),
+            journalSeq: null,
+            compressed: false,
+            partial: false,
+            legacy: true,
+            collections: listJsonFiles(backupPath),
+            schemas: [],
+            files: {}
+        };
+    }
+
+    // Oldest first
+    list() {
+        if (!fs.existsSync(this.directory)) {
+            return [];
+        }
+        return fs.readdirSync(this.directory)
+            .filter(id => BACKUP_ID_PATTERN.test(id) && fs.statSync(path.join(this.directory, id)).isDirectory())
+            .map(id => this.get(id))
+            .sort((a, b) => Date.parse(a.createdAt) - Date.parse(b.createdAt));
+    }
+
+    collectionFile(manifest, name) {
+        if (manifest.legacy) {
+            return `${name}.json`;
+        }
+        return `collections/${name}.json${manifest.compressed ? '.gz' : ''}`;
+    }
+
+    schemaFile(manifest, name) {
+        return `schemas/${name}.json${manifest.compressed ? '.gz' : ''}`;
+    }
+
+    readFile(manifest, relativePath) {
+        const contents = fs.readFileSync(path.join(this.backupPath(manifest.id), relativePath));
+        const expected = manifest.files[relativePath];
+        if (expected && (contents.length !== expected.size || checksum(contents) !== expected.sha256)) {
+            throw new PyxiCloudError('DATA_CORRUPT', `Backup "${manifest.id}" is corrupt: checksum mismatch for ${relativePath}`, {
+                backupId: manifest.id,
+                file: relativePath
+            });
+        }
+        return (manifest.compressed ? zlib.gunzipSync(contents) : contents).toString('utf-8');
+    }
+
+    // The stored schema of a collection in the backup, or null without one
+    readSchema(manifest, name) {
+        return manifest.schemas.includes(name) ? JSON.parse(this.readFile(manifest, this.schemaFile(manifest, name))) : null;
+    }
+
+    // Verifies and loads the backup: { schemas: { name: stored schema },
+    // collections: { name: documents as stored } }
+    read(id, names = null) {
+        const manifest = this.get(id);
+        const included = name => names === null || names.includes(name);
+        const schemas = {};
+        const collections = {};
+        for (const name of manifest.schemas.filter(included)) {
+            schemas[name] = this.readSchema(manifest, name);
+        }
+        for (const name of manifest.collections.filter(included)) {
+            collections[name] = JSON.parse(this.codec.decode(this.readFile(manifest, this.collectionFile(manifest, name))));
+        }
+        return { manifest, schemas, collections };
+    }
+
+    // Rewrites every collection file with transform(documents, manifest, name),
+    // encoded with the current codec; used by key rotation. Returns the
+    // number of files.
+    rewriteCollections(transform) {
+        let rewritten = 0;
+        for (const manifest of this.list()) {
+            for (const name of manifest.collections) {
+                const relativePath = this.collectionFile(manifest, name);
+                const documents = transform(JSON.parse(this.codec.decode(this.readFile(manifest, relativePath))), manifest, name);
+                let contents = Buffer.from(this.codec.encode(JSON.stringify(documents, null, 2)));
+                if (manifest.compressed) {
+                    contents = zlib.gzipSync(contents);
+                }
+                writeFileAtomic(path.join(this.backupPath(manifest.id), relativePath), contents);
+                if (!manifest.legacy) {
+                    manifest.files[relativePath] = { size: contents.length, sha256: checksum(contents) };
+                }
+                rewritten++;
+            }
+            if (!manifest.legacy) {
+                writeFileAtomic(path.join(this.backupPath(manifest.id), MANIFEST_FILE), JSON.stringify(manifest, null, 2));
+            }
+        }
+        return rewritten;
+    }
+
+    // Removes backups older than retentionDays and returns their ids
+    cleanup(retentionDays) {
+        const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+        const removed = [];
+        for (const manifest of this.list()) {
+            if (Date.parse(manifest.createdAt) < cutoff) {
+                fs.rmSync(this.backupPath(manifest.id), { recursive: true, force: true });
+                removed.push(manifest.id);
+            }
+        }
+        return removed;
+    }
+}
+
+module.exports = {
+    BackupManager
+};
@@ -0,0 +1,387 @@
+#!/usr/bin/env node
+// cli.js
+const fs = require('fs');
+const path = require('path');
+const WebSocket = require('ws');
+const { FORMATS, formatOf, parseDocuments, writeDocuments } = require('./formats');
+const { withSystemFields } = require('./documents');
+const { logger } = require('./logger');
+
+const USAGE = `Usage: node cli.js <command> [arguments] [options]
+
+Commands:
+  export <collection>           Write the collection's documents to --out, or stdout
+  import <collection> [file]    Insert the documents of file, or stdin, reporting rejected ones
+  validate [collection]         Check stored documents against their schema, all collections by default
+  compact                       Fold the 'log' engine's write-ahead log into the collection files
+
+Options:
+  --format <format>             ${FORMATS.join(', ')}; taken from the file extension by default, else ndjson
+  --out <file>                  export: file to write instead of stdout
+  --query <json>                Only export or import documents matching this query
+  --projection <json>           Only export or import these fields, e.g. '{"name":1}'
+  --sort <json>                 export: order of the documents, e.g. '{"createdAt":-1}'
+  --data-dir <directory>        Work offline on this data directory (default: PYXICLOUD_DATA_DIR, or ./Database)
+  --url <url>                   Work online through a running server, e.g. ws://localhost:8080
+  --username, --password        Account for --url (default: PYXICLOUD_USERNAME and PYXICLOUD_PASSWORD)
+  --ca <file>                   PEM CA to trust for a wss:// server
+
+Offline commands must not run while a server is using the same data directory.
+Exits with 2 when documents were rejected or found invalid.`;
+
+const IMPORT_BATCH_SIZE = 500;
+// Keeps each ImportDocuments message well under the server's payload limit
+const IMPORT_BATCH_BYTES = 512 * 1024;
+const EXPORT_PAGE_SIZE = 1000;
+
+function parseArguments(argv) {
+    const options = {};
+    const positional = [];
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '-h' || arg === '--help') {
+            options.help = true;
+        } else if (arg.startsWith('--')) {
+            const separator = arg.indexOf('=');
+            const name = separator === -1 ? arg.slice(2) : arg.slice(2, separator);
+            const value = separator === -1 ? argv[++i] : arg.slice(separator + 1);
+            if (value === undefined) {
+                throw new Error(`--${name} needs a value`);
+            }
+            options[name] = value;
+        } else {
+            positional.push(arg);
+        }
+    }
+    return { command: positional[0], args: positional.slice(1), options };
+}
+
+// Command output, kept apart from the server's log on stderr
+function print(line) {
+    process.stdout.write(`${line}\n`);
+}
+
+function jsonOption(options, name) {
+    if (options[name] === undefined) return undefined;
+    try {
+        return JSON.parse(options[name]);
+    } catch (error) {
+        throw new Error(`--${name} must be JSON`);
+    }
+}
+
+function chooseFormat(options, filePath) {
+    const format = options.format || formatOf(filePath) || 'ndjson';
+    if (!FORMATS.includes(format)) {
+        throw new Error(`Unknown format "${format}", use one of ${FORMATS.join(', ')}`);
+    }
+    return format;
+}
+
+// Works on the data directory directly, through the same code the server
+// runs
+class LocalDatabase {
+    constructor(dataDirectory) {
+        if (dataDirectory !== undefined) {
+            if (!fs.existsSync(dataDirectory)) {
+                throw new Error(`Data directory "${dataDirectory}" does not exist`);
+            }
+            process.env.PYXICLOUD_DATA_DIR = path.resolve(dataDirectory);
+        }
+        const PyxiCloudServer = require('./PyxiCloud');
+        this.server = new PyxiCloudServer();
+    }
+
+    async open() {
+        this.server.openData();
+    }
+
+    async close() {
+        this.server.closeData();
+    }
+
+    async listCollections() {
+        return [...this.server.schemas.keys()];
+    }
+
+    async getSchema(collectionName) {
+        if (!this.server.schemas.has(collectionName)) {
+            throw new Error(`Schema for collection "${collectionName}" not found`);
+        }
+        return this.server.describeSchema(collectionName);
+    }
+
+    async find(collectionName, { query = {}, projection, sort }) {
+        await this.getSchema(collectionName);
+        return this.server.find(collectionName, query, { projection, sort });
+    }
+
+    async importDocuments(collectionName, documents, options) {
+        return this.server.withCollectionLocks([collectionName], () =>
+            this.server.importDocuments(collectionName, documents, options));
+    }
+
+    async validate(collectionName) {
+        await this.getSchema(collectionName);
+        return this.server.validateCollection(collectionName);
+    }
+
+    async compact() {
+        await this.server.compactStorage();
+    }
+}
+
+// Works through a running server over an authenticated connection
+class RemoteDatabase {
+    constructor(url, { username, password, ca }) {
+        this.url = url;
+        this.credentials = { username, password };
+        this.tlsOptions = ca ? { ca: fs.readFileSync(ca) } : {};
+        this.ws = null;
+        this.nextRequestId = 1;
+        this.pending = new Map();
+    }
+
+    async open() {
+        this.ws = new WebSocket(this.url, 'pyxisdb-protocol', this.tlsOptions);
+        this.ws.on('message', message => {
+            let response;
+            try {
+                response = JSON.parse(message.toString());
+            } catch (error) {
+                return;
+            }
+            const pending = this.pending.get(response.requestId);
+            if (pending && response.status) {
+                this.pending.delete(response.requestId);
+                pending(response);
+            }
+        });
+        this.ws.on('close', () => {
+            const closed = { status: 'error', code: 'INTERNAL_ERROR', message: 'Connection closed' };
+            this.pending.forEach(pending => pending(closed));
+            this.pending.clear();
+        });
+        await new Promise((resolve, reject) => {
+            this.ws.once('open', resolve);
+            this.ws.once('error', reject);
+        });
+        await this.request('Authenticate', this.credentials);
+    }
+
+    async close() {
+        if (this.ws) {
+            this.ws.close();
+        }
+    }
+
+    // The response of a successful request; failures are thrown with their
+    // code. Rate limited requests are retried once the server allows it.
+    async request(type, data) {
+        for (;;) {
+            const requestId = String(this.nextRequestId++);
+            const response = await new Promise(resolve => {
+                this.pending.set(requestId, resolve);
+                this.ws.send(JSON.stringify({ type, requestId, data }));
+            });
+            if (response.status === 'success') {
+                return response;
+            }
+            const retryAfter = response.details && response.details.retryAfter;
+            if (response.code === 'RATE_LIMITED' && Number.isFinite(retryAfter)) {
+                await new Promise(resolve => setTimeout(resolve, retryAfter));
+                continue;
+            }
+            const error = new Error(response.message);
+            error.code = response.code;
+            throw error;
+        }
+    }
+
+    async listCollections() {
+        return (await this.request('ListSchemas', {})).data.map(schema => schema.collectionName);
+    }
+
+    async getSchema(collectionName) {
+        return (await this.request('GetSchema', { collectionName })).data;
+    }
+
+    async find(collectionName, { query = {}, projection, sort }) {
+        const documents = [];
+        let cursor;
+        do {
+            const response = await this.request('Query', {
+                collectionName,
+                operation: 'find',
+                query,
+                projection,
+                sort,
+                limit: EXPORT_PAGE_SIZE,
+                cursor
+            });
+            documents.push(...response.data);
+            cursor = response.nextCursor;
+        } while (cursor);
+        return documents;
+    }
+
+    async importDocuments(collectionName, documents, options) {
+        return (await this.request('ImportDocuments', { collectionName, documents, ...options })).data;
+    }
+
+    async validate(collectionName) {
+        return (await this.request('ValidateCollection', { collectionName })).data;
+    }
+
+    async compact() {
+        await this.request('Compact', {});
+    }
+}
+
+async function exportCommand(db, [collectionName], options) {
+    if (!collectionName) {
+        throw new Error('export needs a collection name');
+    }
+    const format = chooseFormat(options, options.out);
+    const documents = await db.find(collectionName, {
+        query: jsonOption(options, 'query'),
+        projection: jsonOption(options, 'projection'),
+        sort: jsonOption(options, 'sort')
+    });
+
+    const output = options.out ? fs.createWriteStream(options.out) : process.stdout;
+    writeDocuments(output, documents, format);
+    if (options.out) {
+        await new Promise((resolve, reject) => {
+            output.on('error', reject);
+            output.end(resolve);
+        });
+    }
+    console.error(`Exported ${documents.length} document(s) from "${collectionName}"`);
+    return 0;
+}
+
+// Batches of records, each small enough for one ImportDocuments request
+function importBatches(records) {
+    const batches = [];
+    let batch = [];
+    let size = 0;
+    for (const record of records) {
+        const recordSize = JSON.stringify(record.document).length;
+        if (batch.length > 0 && (batch.length >= IMPORT_BATCH_SIZE || size + recordSize > IMPORT_BATCH_BYTES)) {
+            batches.push(batch);
+            batch = [];
+            size = 0;
+        }
+        batch.push(record);
+        size += recordSize;
+    }
+    if (batch.length > 0) {
+        batches.push(batch);
+    }
+    return batches;
+}
+
+async function importCommand(db, [collectionName, filePath], options) {
+    if (!collectionName) {
+        throw new Error('import needs a collection name');
+    }
+    const format = chooseFormat(options, filePath);
+    const { fields, options: schemaOptions } = await db.getSchema(collectionName);
+    const text = filePath && filePath !== '-'
+        ? fs.readFileSync(filePath, 'utf-8')
+        : fs.readFileSync(process.stdin.fd, 'utf-8');
+    const records = parseDocuments(text, format, withSystemFields(fields, schemaOptions));
+    const importOptions = { query: jsonOption(options, 'query'), projection: jsonOption(options, 'projection') };
+
+    const rejected = new Map();
+    records.forEach((record, order) => {
+        record.order = order;
+        if (record.error) {
+            rejected.set(order, { position: record.position, code: 'INVALID_MESSAGE', message: record.error });
+        }
+    });
+    let insertedCount = 0;
+    let skippedCount = 0;
+    for (const batch of importBatches(records.filter(record => !record.error))) {
+        const result = await db.importDocuments(collectionName, batch.map(record => record.document), importOptions);
+        insertedCount += result.insertedCount;
+        skippedCount += result.skippedCount;
+        for (const { index, code, message } of result.rejected) {
+            rejected.set(batch[index].order, { position: batch[index].position, code, message });
+        }
+    }
+
+    [...rejected.keys()].sort((a, b) => a - b).forEach(order => {
+        const { position, code, message } = rejected.get(order);
+        console.error(`${position}: ${code} ${message}`);
+    });
+    print(`Imported ${insertedCount}, skipped ${skippedCount}, rejected ${rejected.size} document(s) into "${collectionName}"`);
+    return rejected.size > 0 ? 2 : 0;
+}
+
+async function validateCommand(db, [collectionName]) {
+    const collectionNames = collectionName ? [collectionName] : await db.listCollections();
+    let valid = true;
+    for (const name of collectionNames) {
+        const result = await db.validate(name);
+        print(`${name}: ${result.checkedCount} document(s), ${result.invalid.length} invalid, ${result.duplicates.length} duplicate key(s)`);
+        for (const { index, _id, errors } of result.invalid) {
+            print(`  document ${index + 1}${_id === null ? '' : ` (_id ${JSON.stringify(_id)})`}: ${errors.map(error => error.message).join('; ')}`);
+        }
+        for (const { field, value } of result.duplicates) {
+            print(`  duplicate value ${JSON.stringify(value)} for unique field "${field}"`);
+        }
+        valid = valid && result.valid;
+    }
+    return valid ? 0 : 2;
+}
+
+async function compactCommand(db) {
+    await db.compact();
+    print('Storage compacted');
+    return 0;
+}
+
+const COMMANDS = {
+    export: exportCommand,
+    import: importCommand,
+    validate: validateCommand,
+    compact: compactCommand
+};
+
+// Resolves to the exit code
+async function main(argv) {
+    const { command, args, options } = parseArguments(argv);
+    if (options.help || !COMMANDS[command]) {
+        console.error(USAGE);
+        return options.help ? 0 : 1;
+    }
+
+    const db = options.url
+        ? new RemoteDatabase(options.url, {
+            username: options.username || process.env.PYXICLOUD_USERNAME,
+            password: options.password || process.env.PYXICLOUD_PASSWORD,
+            ca: options.ca
+        })
+        : new LocalDatabase(options['data-dir']);
+    try {
+        await db.open();
+        return await COMMANDS[command](db, args, options);
+    } finally {
+        await db.close();
+    }
+}
+
+if (require.main === module) {
+    // The server's log goes to stderr so it can't end up in data exported
+    // to stdout, and only with warnings and errors
+    logger.configure({ level: 'warn', output: process.stderr });
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    }, error => {
+        const code = error.code && !error.message.includes(error.code) ? `${error.code} ` : '';
+        console.error(`Error: ${code}${error.message}`);
+        process.exitCode = 1;
+    });
+}
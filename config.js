@@ -1,16 +1,57 @@
 // config.js
 module.exports = {
-    serverIP: 'localhost',
-    port: 8080,
+    serverIP: 'localhost', // Address to listen on; '0.0.0.0' or '::' for every interface
+    port: Number(process.env.PYXICLOUD_PORT) || 8080,
     ipWhitelist: false,
+    // Addresses or CIDR ranges, IPv4 or IPv6, e.g. '10.0.0.0/8' or 'fd00::/8'.
+    // Reloaded from this file on SIGHUP or a ReloadAccessLists request.
     whitelistedIps: ['127.0.0.1'],
     ipBlacklist: false,
     blacklistedIps: [],
+    trustedProxies: [], // Proxies whose X-Forwarded-For header gives the client's address
+    tlsCert: null, // PEM certificate and key paths; when set the server listens on wss://
+    tlsKey: null,
+    tlsCa: null, // PEM CA that client certificates must be signed by
+    tlsClientCertificates: 'off', // 'off', 'optional' or 'required'; a certificate's common name can log in as that user
+    httpGateway: false, // Also serve the REST API on the same port, e.g. POST /auth, GET /collections/:name
     maxConnections: 100,
+    maxConnectionsPerIp: 20,
+    // Token buckets: up to burst tokens, refilled at perSecond. Every request
+    // takes its cost from its IP's bucket and, once logged in, its user's.
+    ipRateLimit: { burst: 200, perSecond: 50 },
+    userRateLimit: { burst: 100, perSecond: 25 },
+    requestCosts: { read: 1, write: 5, admin: 10, authenticate: 10 },
+    authFailureLimit: 5, // Failed logins from one IP within authFailureWindow before it is banned
+    authFailureWindow: 10 * 60 * 1000,
+    authBanDuration: 15 * 60 * 1000,
+    // Administrator account created on first start, when Database/users.json does not exist yet
     credentials: {
         username: 'admin',
         password: 'admin123'
     },
+    sessionIdleTimeout: 30 * 60 * 1000, // Sessions unused for 30 minutes expire
+    sessionMaxAge: 7 * 24 * 60 * 60 * 1000, // Sessions expire 7 days after login regardless of use
+    persistSessions: false, // Keep sessions in Database/sessions.json so they survive a restart
+    encryptionKey: null, // Master key for encrypted fields and files; PYXICLOUD_ENCRYPTION_KEY is used when not set
+    previousEncryptionKeys: [], // Older keys, still accepted for reading until RotateEncryptionKey re-encrypts with the current one
+    encryptFiles: false, // Also encrypt whole collection files and the write-ahead log
     backupInterval: 24 * 60 * 60 * 1000, // 24 hours in milliseconds
-    backupRetentionDays: 7 // Keep backups for 7 days
+    backupRetentionDays: 7, // Keep backups for 7 days
+    backupCompression: true, // Gzip the files of new backups
+    ttlSweepInterval: 60 * 1000, // How often documents of collections with a ttl schema option are checked for expiry
+    mutationJournal: false, // Journal every change for point-in-time restores between backups
+    replicationRole: process.env.PYXICLOUD_REPLICATION_ROLE || 'standalone', // 'standalone', 'primary' or 'follower'
+    replicationPrimary: process.env.PYXICLOUD_REPLICATION_PRIMARY || null, // Followers: URL of the primary, e.g. 'ws://localhost:8080'
+    replicationCredentials: null, // Followers: administrator account on the primary; defaults to credentials
+    replicationTls: null, // Followers: { ca, cert, key } PEM paths for a wss:// primary
+    storageEngine: 'json', // 'json' rewrites collection files, 'log' keeps them in memory behind a write-ahead log
+    compactionInterval: 5 * 60 * 1000, // 'log' engine: fold the log into the collection files every 5 minutes
+    compactionLogSize: 16 * 1024 * 1024, // 'log' engine: also compact once the log reaches 16 MB
+    maxTransactionOperations: 1000, // Writes a single transaction may queue before Commit
+    hooksDirectory: process.env.PYXICLOUD_HOOKS_DIR || null, // Directory of hook modules, e.g. './hooks'; reloaded when its files change
+    hookTimeout: 1000, // Milliseconds a single hook may run before the write fails (before hooks) or it is abandoned (after hooks)
+    logLevel: process.env.PYXICLOUD_LOG_LEVEL || 'info', // 'debug', 'info', 'warn' or 'error'; debug logs every request
+    auditLog: 'off', // 'writes' appends every request except reads to Database/audit.log, 'all' reads too
+    monitoringPort: null, // Serve GET /metrics (Prometheus) and GET /health over plain HTTP on this port
+    monitoringHost: 'localhost' // Address of the monitoring endpoint
 };
\ No newline at end of file
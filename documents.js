@@ -0,0 +1,133 @@
+// documents.js
+const crypto = require('crypto');
+const { PyxiCloudError } = require('./errors');
+
+// Fields the server maintains on every document:
+//   _id        assigned on insert unless the client gives one, never changes
+//   _version   1 on insert, incremented by every update that changes the document
+//   createdAt, updatedAt   ISO timestamps, only with the schema option timestamps: true
+// Schema options controlling them:
+//   idType      'objectId' (default) or 'uuid'
+//   timestamps  maintain createdAt and updatedAt
+const ID_TYPES = ['objectId', 'uuid'];
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt'];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// ObjectId-like: 4 bytes of seconds since the epoch, 5 random bytes fixed for
+// the process and a 3 byte counter, as 24 hex characters. Ids sort roughly
+// by creation time.
+const processBytes = crypto.randomBytes(5);
+let counter = crypto.randomBytes(3).readUIntBE(0, 3);
+
+function objectId(now = Date.now()) {
+    const bytes = Buffer.alloc(12);
+    bytes.writeUInt32BE(Math.floor(now / 1000) >>> 0, 0);
+    processBytes.copy(bytes, 4);
+    counter = (counter + 1) % 0x1000000;
+    bytes.writeUIntBE(counter, 9, 3);
+    return bytes.toString('hex');
+}
+
+function generateId(idType = 'objectId') {
+    return idType === 'uuid' ? crypto.randomUUID() : objectId();
+}
+
+// Problems with a schema's options, as a list of messages
+function checkSchemaOptions(options) {
+    const problems = [];
+    if (options.idType !== undefined && !ID_TYPES.includes(options.idType)) {
+        problems.push(`idType must be one of ${ID_TYPES.join(', ')}`);
+    }
+    if (options.timestamps !== undefined && typeof options.timestamps !== 'boolean') {
+        problems.push('timestamps must be a boolean');
+    }
+    return problems;
+}
+
+function systemFields(options = {}) {
+    return options.timestamps ? ['_id', '_version', ...TIMESTAMP_FIELDS] : ['_id', '_version'];
+}
+
+// Field schemas of the system fields, so documents carrying them validate in
+// strict mode. Fields the schema declares itself keep their declaration.
+function withSystemFields(schema, options = {}) {
+    const fields = {
+        _id: { type: ['string', 'number'] },
+        _version: { type: 'integer', min: 0 }
+    };
+    if (options.timestamps) {
+        TIMESTAMP_FIELDS.forEach(field => { fields[field] = { type: 'date' }; });
+    }
+    return { ...fields, ...schema };
+}
+
+// A new document with its system fields set. Only _id may come from the client.
+function stampNew(document, options = {}, now = new Date()) {
+    if (!isPlainObject(document)) return document;
+    const hasId = document._id !== undefined && document._id !== null;
+    const _id = hasId ? document._id : generateId(options.idType);
+    const stamped = { _id, ...document, _version: 1 };
+    stamped._id = _id;
+    if (options.timestamps) {
+        stamped.createdAt = now.toISOString();
+        stamped.updatedAt = stamped.createdAt;
+    }
+    return stamped;
+}
+
+// The updated document with its version bumped. Documents stored before ids
+// were assigned get one now and start from version 0.
+function stampUpdated(previous, document, options = {}, now = new Date()) {
+    for (const field of systemFields(options)) {
+        if (!(field === '_id' && previous._id === undefined) && document[field] !== previous[field]) {
+            throw new PyxiCloudError('BAD_REQUEST', `Field "${field}" is maintained by the server and can't be updated`, { field });
+        }
+    }
+    const stamped = { ...document, _version: (previous._version || 0) + 1 };
+    if (stamped._id === undefined || stamped._id === null) {
+        stamped._id = generateId(options.idType);
+    }
+    if (options.timestamps) {
+        stamped.updatedAt = now.toISOString();
+    }
+    return stamped;
+}
+
+// expectedVersion is optional; when given the document must be at that version
+function checkVersion(document, expectedVersion) {
+    if (expectedVersion === undefined) return;
+    const actualVersion = document._version || 0;
+    if (actualVersion !== expectedVersion) {
+        throw new PyxiCloudError('CONFLICT', `Document is at version ${actualVersion}, expected ${expectedVersion}`, {
+            _id: document._id === undefined ? null : document._id,
+            expectedVersion,
+            actualVersion
+        });
+    }
+}
+
+function checkExpectedVersion(expectedVersion) {
+    if (expectedVersion !== undefined && !(Number.isInteger(expectedVersion) && expectedVersion >= 0)) {
+        throw new Error('expectedVersion must be a non-negative integer');
+    }
+}
+
+function checkId(id) {
+    if (!((typeof id === 'string' && id.length > 0) || Number.isFinite(id))) {
+        throw new Error('id must be a non-empty string or a number');
+    }
+}
+
+module.exports = {
+    generateId,
+    checkSchemaOptions,
+    withSystemFields,
+    stampNew,
+    stampUpdated,
+    checkVersion,
+    checkExpectedVersion,
+    checkId
+};
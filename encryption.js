@@ -0,0 +1,180 @@
+// encryption.js
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+// Format written before authenticated encryption was used; still decrypted
+const LEGACY_ALGORITHM = 'aes-256-cbc';
+const IV_LENGTH = 12;
+
+// Encrypted field values are strings with this prefix and the id of the key
+// they were encrypted with, like '$enc:1a2b3c4d:<iv>:<tag>:<data>'
+const FIELD_PREFIX = '$enc:';
+// Encrypted files start with this line instead of JSON
+const FILE_PREFIX = 'pyxicloud-encrypted:';
+
+// Returns 'iv:tag:ciphertext' in hex
+function encrypt(data, key) {
+    const iv = crypto.randomBytes(IV_LENGTH);
+    const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+    let encrypted = cipher.update(data, 'utf8', 'hex');
+    encrypted += cipher.final('hex');
+    return [iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted].join(':');
+}
+
+function decrypt(data, key) {
+    const parts = data.split(':');
+    if (parts.length === 2) {
+        const [ivHex, encryptedData] = parts;
+        const decipher = crypto.createDecipheriv(LEGACY_ALGORITHM, key, Buffer.from(ivHex, 'hex'));
+        return decipher.update(encryptedData, 'hex', 'utf8') + decipher.final('utf8');
+    }
+    const [ivHex, tagHex, encryptedData] = parts;
+    const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(ivHex, 'hex'));
+    decipher.setAuthTag(Buffer.from(tagHex, 'hex'));
+    return decipher.update(encryptedData, 'hex', 'utf8') + decipher.final('utf8');
+}
+
+// A 64 character hex string is used as the key itself, anything else is
+// hashed into one
+function deriveKey(secret) {
+    if (/^[0-9a-f]{64}$/i.test(secret)) {
+        return Buffer.from(secret, 'hex');
+    }
+    return crypto.createHash('sha256').update(String(secret)).digest();
+}
+
+function keyId(key) {
+    return crypto.createHash('sha256').update(key).digest('hex').slice(0, 8);
+}
+
+function isEncryptedValue(value) {
+    return typeof value === 'string' && value.startsWith(FIELD_PREFIX);
+}
+
+// Values with the prefix are reserved for encrypted ones, so documents from
+// clients can't hold any
+function checkPlainValues(document) {
+    for (const [field, value] of Object.entries(document)) {
+        if (isEncryptedValue(value)) {
+            throw new Error(`Field "${field}" cannot start with "${FIELD_PREFIX}", which marks encrypted values`);
+        }
+    }
+}
+
+// New data is encrypted with the current key. Previous keys can still
+// decrypt, so data written before a key change stays readable until it is
+// rotated.
+class Keyring {
+    constructor(currentSecret, previousSecrets = []) {
+        this.keys = new Map();
+        this.currentId = null;
+        if (currentSecret) {
+            const key = deriveKey(currentSecret);
+            this.currentId = keyId(key);
+            this.keys.set(this.currentId, key);
+        }
+        for (const secret of previousSecrets) {
+            const key = deriveKey(secret);
+            if (!this.keys.has(keyId(key))) {
+                this.keys.set(keyId(key), key);
+            }
+        }
+    }
+
+    get enabled() {
+        return this.currentId !== null;
+    }
+
+    currentKey() {
+        if (!this.enabled) {
+            throw new Error('No encryption key configured; set config.encryptionKey or PYXICLOUD_ENCRYPTION_KEY');
+        }
+        return this.keys.get(this.currentId);
+    }
+
+    keyFor(id) {
+        const key = this.keys.get(id);
+        if (!key) {
+            throw new Error(`Data is encrypted with unknown key "${id}"`);
+        }
+        return key;
+    }
+
+    encryptValue(value) {
+        return `${FIELD_PREFIX}${this.currentId}:${encrypt(JSON.stringify(value), this.currentKey())}`;
+    }
+
+    decryptValue(value) {
+        const rest = value.slice(FIELD_PREFIX.length);
+        const separator = rest.indexOf(':');
+        return JSON.parse(decrypt(rest.slice(separator + 1), this.keyFor(rest.slice(0, separator))));
+    }
+
+    // fields: names of the top-level fields the schema encrypts
+    encryptDocument(document, fields) {
+        if (fields.length === 0) {
+            return document;
+        }
+        const encrypted = { ...document };
+        for (const field of fields) {
+            if (encrypted[field] !== undefined) {
+                encrypted[field] = this.encryptValue(encrypted[field]);
+            }
+        }
+        return encrypted;
+    }
+
+    // Only the schema's encrypted fields are decrypted; elsewhere a value
+    // that looks encrypted is just a string
+    decryptDocument(document, fields) {
+        let decrypted = document;
+        for (const field of fields) {
+            if (isEncryptedValue(document[field])) {
+                if (decrypted === document) {
+                    decrypted = { ...document };
+                }
+                decrypted[field] = this.decryptValue(document[field]);
+            }
+        }
+        return decrypted;
+    }
+
+    // Re-encrypts the schema's encrypted fields with the current key
+    rotateDocument(document, fields) {
+        const rotated = { ...document };
+        for (const field of fields) {
+            if (isEncryptedValue(document[field])) {
+                rotated[field] = this.encryptValue(this.decryptValue(document[field]));
+            }
+        }
+        return rotated;
+    }
+
+    encryptFile(text) {
+        return `${FILE_PREFIX}${this.currentId}:${encrypt(text, this.currentKey())}`;
+    }
+
+    decryptFile(text) {
+        const rest = text.slice(FILE_PREFIX.length);
+        const separator = rest.indexOf(':');
+        return decrypt(rest.slice(separator + 1), this.keyFor(rest.slice(0, separator)));
+    }
+
+    // Encodes the contents of collection files and log lines for the storage
+    // engines. Plain files stay readable, so encryption can be switched on
+    // for an existing database.
+    fileCodec(encryptFiles) {
+        return {
+            encode: text => encryptFiles ? this.encryptFile(text) : text,
+            decode: text => text.startsWith(FILE_PREFIX) ? this.decryptFile(text) : text
+        };
+    }
+}
+
+module.exports = {
+    Keyring,
+    encrypt,
+    decrypt,
+    isEncryptedValue,
+    checkPlainValues
+};
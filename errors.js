@@ -0,0 +1,65 @@
+// errors.js
+
+// Every error response carries one of these codes. The number is the HTTP
+// status the gateway answers with.
+const ERROR_CODES = {
+    INVALID_MESSAGE: 400,               // not JSON
+    INVALID_REQUEST: 400,               // missing type or requestId, or malformed request data
+    UNKNOWN_REQUEST: 400,               // details.type
+    UNSUPPORTED_PROTOCOL_VERSION: 400,  // details.supported
+    BAD_REQUEST: 400,                   // arguments the request can't run with, e.g. an unknown operator
+    VALIDATION_FAILED: 400,             // details.errors: [{ field, rule, message }]
+    LIMIT_EXCEEDED: 400,                // details.limit
+    METHOD_NOT_ALLOWED: 405,            // HTTP gateway only, details.allowed
+    NOT_AUTHENTICATED: 401,
+    INVALID_CREDENTIALS: 401,
+    SESSION_EXPIRED: 401,
+    PERMISSION_DENIED: 403,             // details.role, details.collectionName
+    ACCESS_DENIED: 403,                 // IP lists and bans, details.retryAfter for bans
+    NOT_FOUND: 404,                     // details.resource and details.name, e.g. 'collection', 'orders'
+    ALREADY_EXISTS: 409,                // details.resource and details.name
+    DUPLICATE_KEY: 409,                 // details.field, details.value when known
+    CONFLICT: 409,                      // the request doesn't fit the current state, e.g. no open transaction
+    READ_ONLY: 409,                     // writes sent to a replication follower
+    HOOK_REJECTED: 400,                 // a before hook refused the write, details.collectionName, details.hook, details.file
+    RATE_LIMITED: 429,                  // details.retryAfter in milliseconds
+    DATA_CORRUPT: 500,                  // e.g. a backup failing its checksum
+    INTERNAL_ERROR: 500,
+    HOOK_TIMEOUT: 500,                  // a before hook didn't finish within hookTimeout, details as HOOK_REJECTED
+    TOO_MANY_CONNECTIONS: 503
+};
+
+class PyxiCloudError extends Error {
+    constructor(code, message, details) {
+        super(message);
+        this.name = 'PyxiCloudError';
+        this.code = code;
+        this.details = details;
+    }
+}
+
+// Errors thrown by the runtime rather than on purpose, i.e. server bugs
+const RUNTIME_ERRORS = [TypeError, RangeError, ReferenceError];
+
+// Code and details for any error. Plain errors are the request's fault,
+// except failed system calls and runtime errors.
+function describeError(error) {
+    if (error instanceof PyxiCloudError) {
+        return { code: error.code, details: error.details };
+    }
+    if (error.syscall !== undefined || RUNTIME_ERRORS.some(type => error instanceof type)) {
+        return { code: 'INTERNAL_ERROR' };
+    }
+    return { code: 'BAD_REQUEST' };
+}
+
+function httpStatus(code) {
+    return ERROR_CODES[code] || 500;
+}
+
+module.exports = {
+    ERROR_CODES,
+    PyxiCloudError,
+    describeError,
+    httpStatus
+};
@@ -0,0 +1,193 @@
+// formats.js
+const path = require('path');
+
+// File formats of the command-line import and export:
+//   ndjson  one JSON document per line
+//   json    a JSON array of documents
+//   csv     a header row of top-level field names, then one row per document.
+//           Objects and arrays are written as JSON. On import, cells are
+//           converted to the types the collection's schema declares.
+const FORMATS = ['ndjson', 'json', 'csv'];
+const EXTENSIONS = { '.ndjson': 'ndjson', '.jsonl': 'ndjson', '.json': 'json', '.csv': 'csv' };
+
+function formatOf(filePath) {
+    return EXTENSIONS[path.extname(filePath || '').toLowerCase()] || null;
+}
+
+// RFC 4180: fields separated by commas, quoted with " when they contain
+// commas, quotes or line breaks, quotes doubled inside. Returns the rows
+// with the line each one starts on.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push({ line: rowLine, cells: row });
+            row = [];
+            field = '';
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) {
+        throw new Error(`Unterminated quoted field starting on line ${rowLine}`);
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push({ line: rowLine, cells: row });
+    }
+    // Blank lines are not records
+    return rows.filter(({ cells }) => cells.length > 1 || cells[0] !== '');
+}
+
+function csvField(value) {
+    if (value === undefined) return '';
+    const text = typeof value === 'string' ? value : JSON.stringify(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function parseJson(text) {
+    try {
+        return { value: JSON.parse(text) };
+    } catch (error) {
+        return null;
+    }
+}
+
+// The cell as the first of the field's types it can be read as. Fields
+// without a declared type take JSON values, or else the text itself.
+function csvValue(cell, fieldSchema = {}) {
+    const types = fieldSchema.type === undefined ? ['any'] : [].concat(fieldSchema.type);
+    const isNumber = /^-?\d+(\.\d+)?([eE][-+]?\d+)?$/.test(cell);
+    for (const type of types) {
+        switch (type) {
+            case 'number':
+            case 'integer':
+                if (isNumber) return Number(cell);
+                break;
+            case 'boolean':
+                if (cell === 'true' || cell === 'false') return cell === 'true';
+                break;
+            case 'null':
+                if (cell === 'null') return null;
+                break;
+            case 'object':
+            case 'array': {
+                const parsed = parseJson(cell);
+                if (parsed && typeof parsed.value === 'object' && parsed.value !== null &&
+                    Array.isArray(parsed.value) === (type === 'array')) {
+                    return parsed.value;
+                }
+                break;
+            }
+            case 'date':
+                return isNumber ? Number(cell) : cell;
+            case 'string':
+                return cell;
+            default: {
+                const parsed = parseJson(cell);
+                return parsed ? parsed.value : cell;
+            }
+        }
+    }
+    // Left for validation to reject with the field's name
+    return cell;
+}
+
+// Records of an import file as [{ position, document }], or { position,
+// error } for records that can't be parsed. schema converts CSV cells.
+function parseDocuments(text, format, schema = {}) {
+    switch (format) {
+        case 'ndjson':
+            return text.split(/\r?\n/).map((line, index) => {
+                if (line.trim() === '') return null;
+                const position = `line ${index + 1}`;
+                const parsed = parseJson(line);
+                return parsed ? { position, document: parsed.value } : { position, error: 'Invalid JSON' };
+            }).filter(Boolean);
+        case 'json': {
+            const parsed = parseJson(text);
+            if (!parsed || !Array.isArray(parsed.value)) {
+                throw new Error('A json import file must hold an array of documents');
+            }
+            return parsed.value.map((document, index) => ({ position: `element ${index + 1}`, document }));
+        }
+        case 'csv': {
+            const [header, ...rows] = parseCsv(text);
+            if (!header) return [];
+            return rows.map(({ line, cells }) => {
+                const position = `line ${line}`;
+                if (cells.length !== header.cells.length) {
+                    return { position, error: `Expected ${header.cells.length} fields, found ${cells.length}` };
+                }
+                const document = {};
+                header.cells.forEach((field, index) => {
+                    if (cells[index] !== '') {
+                        document[field] = csvValue(cells[index], schema[field]);
+                    }
+                });
+                return { position, document };
+            });
+        }
+        default:
+            throw new Error(`Unknown format "${format}", use one of ${FORMATS.join(', ')}`);
+    }
+}
+
+// Writes documents to output, a writable stream
+function writeDocuments(output, documents, format) {
+    switch (format) {
+        case 'ndjson':
+            documents.forEach(document => output.write(`${JSON.stringify(document)}\n`));
+            break;
+        case 'json':
+            output.write('[\n');
+            documents.forEach((document, index) => {
+                output.write(`${JSON.stringify(document)}${index < documents.length - 1 ? ',' : ''}\n`);
+            });
+            output.write(']\n');
+            break;
+        case 'csv': {
+            const columns = [...new Set(documents.flatMap(document => Object.keys(document)))];
+            output.write(`${columns.map(csvField).join(',')}\n`);
+            documents.forEach(document => {
+                output.write(`${columns.map(column => csvField(document[column])).join(',')}\n`);
+            });
+            break;
+        }
+        default:
+            throw new Error(`Unknown format "${format}", use one of ${FORMATS.join(', ')}`);
+    }
+}
+
+module.exports = {
+    FORMATS,
+    formatOf,
+    parseCsv,
+    parseDocuments,
+    writeDocuments
+};
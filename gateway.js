@@ -0,0 +1,252 @@
+// gateway.js
+const crypto = require('crypto');
+const { clientAddress } = require('./network');
+const { PyxiCloudError, httpStatus } = require('./errors');
+const { logger } = require('./logger');
+
+// Operations each method may run on /collections/:name; the first is the
+// default. Reads are also allowed over POST for queries too long for a URL.
+const READ_OPERATIONS = ['find', 'findOne', 'findById', 'search', 'count', 'distinct', 'aggregate'];
+// Operations on /collections/:name/:id, which always address one document
+const DOCUMENT_OPERATIONS = {
+    GET: 'findById',
+    PATCH: 'updateById',
+    DELETE: 'deleteById'
+};
+const COLLECTION_OPERATIONS = {
+    GET: READ_OPERATIONS,
+    POST: ['insertOne', 'insertMany', ...READ_OPERATIONS],
+    PATCH: ['updateMany', 'updateOne', 'updateById'],
+    DELETE: ['deleteMany', 'deleteOne', 'deleteById']
+};
+// Requests that need a lasting connection and so aren't available over HTTP
+const CONNECTION_REQUESTS = ['Authenticate', 'BeginTransaction', 'Commit', 'Abort', 'Subscribe', 'Unsubscribe', 'Replicate'];
+
+// Stands in for the WebSocket of one HTTP request, so the request goes
+// through the same handlers. The first response sent to it is the answer.
+class GatewayConnection {
+    constructor(clientIP) {
+        this.clientIP = clientIP;
+        this.certificateUser = null;
+        this.isAuthenticated = false;
+        this.sessionToken = null;
+        this.sessionId = null;
+        this.username = null;
+        this.subscriptions = new Map();
+        this.transaction = null;
+        this.activeRequests = new Map();
+        this.response = new Promise(resolve => { this.respond = resolve; });
+    }
+
+    send(message) {
+        const response = JSON.parse(message);
+        if (response.status) {
+            this.respond(response);
+        }
+    }
+
+    close() {}
+}
+
+// REST API served next to the WebSocket protocol on the same listener:
+//   GET    /hello                    Hello
+//   POST   /auth                     Authenticate, returns a session token
+//   POST   /logout                   Logout
+//   GET    /schemas                  ListSchemas
+//   GET    /schemas/:collection      GetSchema
+//   PUT    /schemas/:collection      CreateSchema, or UpdateSchema if it exists
+//   DELETE /schemas/:collection      DropCollection
+//   GET    /collections/:name        find, or the operation given in the query string
+//   POST   /collections/:name        insertOne / insertMany, or a read operation
+//   PATCH  /collections/:name        updateMany / updateOne
+//   DELETE /collections/:name        deleteMany / deleteOne
+//   GET    /collections/:name/:id    findById
+//   PATCH  /collections/:name/:id    updateById
+//   DELETE /collections/:name/:id    deleteById
+//   POST   /requests/:type           any other request type, with the body as its data
+// Other requests authenticate with "Authorization: Bearer <sessionToken>".
+class HttpGateway {
+    constructor(server) {
+        this.server = server;
+    }
+
+    async handle(req, res) {
+        const clientIP = clientAddress(req, this.server.accessLists.trustedProxies);
+        const requestId = typeof req.headers['x-request-id'] === 'string'
+            ? req.headers['x-request-id']
+            : crypto.randomBytes(8).toString('hex');
+
+        const connection = new GatewayConnection(clientIP);
+        const denial = this.server.accessDenial(clientIP);
+        if (denial) {
+            this.server.sendError(connection, denial, requestId);
+            this.reply(res, await connection.response);
+            return;
+        }
+        connection.certificateUser = this.server.certificateUser(req);
+        const token = (req.headers.authorization || '').match(/^Bearer\s+(\S+)$/i);
+        const session = token ? this.server.sessions.get(token[1]) : null;
+        if (session) {
+            connection.isAuthenticated = true;
+            connection.sessionToken = token[1];
+            connection.sessionId = session.id;
+            connection.username = session.username;
+        }
+
+        let event;
+        try {
+            const url = new URL(req.url, 'http://localhost');
+            const body = await this.readBody(req);
+            event = this.route(req.method, url, body);
+            if (!event) {
+                throw new PyxiCloudError('NOT_FOUND', `No route for ${req.method} ${url.pathname}`, { resource: 'route' });
+            }
+        } catch (error) {
+            this.server.sendError(connection, error, requestId);
+            this.reply(res, await connection.response);
+            return;
+        }
+        event.requestId = requestId;
+
+        if (this.server.checkRateLimit(connection, event)) {
+            this.server.processEvent(event, connection).catch(error => {
+                logger.error('Error processing HTTP request', { ip: clientIP, error });
+                this.server.sendError(connection, new PyxiCloudError('INTERNAL_ERROR', 'Failed to process request'), requestId);
+            });
+        }
+        this.reply(res, await connection.response);
+    }
+
+    readBody(req) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let size = 0;
+            req.on('data', chunk => {
+                size += chunk.length;
+                if (size > this.server.maxPayloadSize) {
+                    reject(new PyxiCloudError('LIMIT_EXCEEDED', 'Request body too large', { limit: this.server.maxPayloadSize }));
+                    req.destroy();
+                    return;
+                }
+                chunks.push(chunk);
+            });
+            req.on('end', () => {
+                const text = Buffer.concat(chunks).toString('utf-8');
+                if (text.trim() === '') {
+                    resolve({});
+                    return;
+                }
+                try {
+                    resolve(JSON.parse(text));
+                } catch (error) {
+                    reject(new PyxiCloudError('INVALID_MESSAGE', 'Invalid JSON body'));
+                }
+            });
+            req.on('error', reject);
+        });
+    }
+
+    // Query string parameters are JSON, e.g. ?query={"age":{"$gt":30}}&limit=10.
+    // Values that aren't valid JSON are taken as strings.
+    queryParameters(url) {
+        const params = {};
+        for (const [key, value] of url.searchParams) {
+            try {
+                params[key] = JSON.parse(value);
+            } catch (error) {
+                params[key] = value;
+            }
+        }
+        return params;
+    }
+
+    // The :id segment is a number when the collection's schema declares _id
+    // as a number and not also as a string.
+    documentId(collectionName, segment) {
+        const { _id: idSchema } = this.server.schemas.get(collectionName) || {};
+        const types = idSchema ? [].concat(idSchema.type) : [];
+        const numeric = types.includes('number') || types.includes('integer');
+        return numeric && !types.includes('string') && /^-?\d+$/.test(segment) ? Number(segment) : segment;
+    }
+
+    route(method, url, body) {
+        if (typeof body !== 'object' || body === null || Array.isArray(body)) {
+            throw new PyxiCloudError('INVALID_REQUEST', 'The request body must be a JSON object');
+        }
+        const segments = url.pathname.split('/').filter(Boolean).map(decodeURIComponent);
+        const [resource, name, ...rest] = segments;
+        if (resource === 'collections' && name && rest.length === 1) {
+            this.allow(method, Object.keys(DOCUMENT_OPERATIONS));
+            const params = { ...this.queryParameters(url), ...body };
+            return { type: 'Query', data: { ...params, collectionName: name, operation: DOCUMENT_OPERATIONS[method], id: this.documentId(name, rest[0]) } };
+        }
+        if (rest.length > 0) {
+            return null;
+        }
+
+        if (resource === 'hello' && !name) {
+            return this.allow(method, ['GET', 'POST']) && { type: 'Hello', data: { ...this.queryParameters(url), ...body } };
+        }
+        if (resource === 'auth' && !name) {
+            return this.allow(method, ['POST']) && { type: 'Authenticate', data: body };
+        }
+        if (resource === 'logout' && !name) {
+            return this.allow(method, ['POST']) && { type: 'Logout', data: {} };
+        }
+        if (resource === 'schemas') {
+            if (!name) {
+                return this.allow(method, ['GET']) && { type: 'ListSchemas', data: {} };
+            }
+            this.allow(method, ['GET', 'PUT', 'DELETE']);
+            const data = { ...body, collectionName: name };
+            if (method === 'GET') return { type: 'GetSchema', data };
+            if (method === 'DELETE') return { type: 'DropCollection', data };
+            return { type: this.server.schemas.has(name) ? 'UpdateSchema' : 'CreateSchema', data };
+        }
+        if (resource === 'collections' && name) {
+            const operations = COLLECTION_OPERATIONS[method];
+            this.allow(method, Object.keys(COLLECTION_OPERATIONS));
+            const params = { ...this.queryParameters(url), ...body };
+            let operation = params.operation;
+            if (operation === undefined) {
+                operation = method === 'POST' && Array.isArray(params.documents) ? 'insertMany' : operations[0];
+            }
+            if (!operations.includes(operation)) {
+                throw new PyxiCloudError('INVALID_REQUEST', `${method} /collections/:name supports ${operations.join(', ')}`);
+            }
+            return { type: 'Query', data: { ...params, collectionName: name, operation } };
+        }
+        if (resource === 'requests' && name) {
+            this.allow(method, ['POST']);
+            if (CONNECTION_REQUESTS.includes(name)) {
+                throw new PyxiCloudError('INVALID_REQUEST', `${name} is only available over WebSocket`);
+            }
+            return { type: name, data: body };
+        }
+        return null;
+    }
+
+    allow(method, methods) {
+        if (!methods.includes(method)) {
+            throw new PyxiCloudError('METHOD_NOT_ALLOWED', `Method ${method} not allowed, use ${methods.join(', ')}`, { allowed: methods });
+        }
+        return true;
+    }
+
+    // Success is 200, errors get the status of their code
+    reply(res, response) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (response.code === 'RATE_LIMITED' && response.details.retryAfter !== null) {
+            headers['Retry-After'] = Math.ceil(response.details.retryAfter / 1000);
+        }
+        if (response.code === 'METHOD_NOT_ALLOWED') {
+            headers.Allow = response.details.allowed.join(', ');
+        }
+        res.writeHead(response.status === 'success' ? 200 : httpStatus(response.code), headers);
+        res.end(JSON.stringify(response));
+    }
+}
+
+module.exports = {
+    HttpGateway
+};
@@ -0,0 +1,203 @@
+// hooks.js
+const fs = require('fs');
+const path = require('path');
+const { PyxiCloudError } = require('./errors');
+const { isPlainObject } = require('./paths');
+const { logger } = require('./logger');
+
+// Every .js file in the hooks directory exports handlers per collection, or
+// for every collection under '*':
+//   module.exports = {
+//       users: {
+//           beforeInsert(document, context) { document.email = document.email.toLowerCase(); },
+//           afterDelete(document, context) { ... }
+//       }
+//   };
+// Handlers may be async. Before hooks return the document to store, or
+// nothing to keep the one they were given; throwing rejects the write.
+// After hooks get the stored document and can't change the outcome.
+const HOOK_NAMES = ['beforeInsert', 'afterInsert', 'beforeUpdate', 'afterUpdate', 'beforeDelete', 'afterDelete'];
+// Files often change several times in a row while being saved
+const RELOAD_DELAY = 100;
+
+// Problems with a hook module's exports, as a list of messages
+function checkHookModule(exported) {
+    if (!isPlainObject(exported)) {
+        return ['A hook module must export an object of handlers per collection'];
+    }
+    const problems = [];
+    for (const [collectionName, handlers] of Object.entries(exported)) {
+        if (!isPlainObject(handlers)) {
+            problems.push(`Hooks of "${collectionName}" must be an object`);
+            continue;
+        }
+        for (const [hook, handler] of Object.entries(handlers)) {
+            if (!HOOK_NAMES.includes(hook)) {
+                problems.push(`Unknown hook "${hook}" for "${collectionName}", use one of ${HOOK_NAMES.join(', ')}`);
+            } else if (typeof handler !== 'function') {
+                problems.push(`Hook "${hook}" of "${collectionName}" must be a function`);
+            }
+        }
+    }
+    return problems;
+}
+
+// Settles like promise, or rejects once timeout milliseconds have passed.
+// A handler that blocks the event loop can't be interrupted.
+function withTimeout(promise, timeout, onTimeout) {
+    let timer;
+    const expired = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(onTimeout()), timeout);
+    });
+    return Promise.race([promise, expired]).finally(() => clearTimeout(timer));
+}
+
+class HookRegistry {
+    constructor({ directory, timeout }) {
+        this.directory = directory ? path.resolve(directory) : null;
+        this.timeout = timeout;
+        // file name -> exported handlers, in file name order
+        this.modules = new Map();
+        this.watcher = null;
+        this.reloadTimer = null;
+    }
+
+    get enabled() {
+        return this.directory !== null;
+    }
+
+    start() {
+        if (!this.enabled) return;
+        if (!fs.existsSync(this.directory)) {
+            throw new Error(`Hooks directory "${this.directory}" does not exist`);
+        }
+        this.load();
+        this.watcher = fs.watch(this.directory, () => {
+            clearTimeout(this.reloadTimer);
+            this.reloadTimer = setTimeout(() => this.load(), RELOAD_DELAY);
+        });
+        this.watcher.on('error', error => logger.error('Hooks directory watch failed', { directory: this.directory, error }));
+    }
+
+    stop() {
+        clearTimeout(this.reloadTimer);
+        if (this.watcher) {
+            this.watcher.close();
+            this.watcher = null;
+        }
+    }
+
+    // Loads the hook modules afresh. A file that fails to load keeps the
+    // handlers it had, so a half-saved edit doesn't switch its rules off.
+    load() {
+        if (!this.enabled) return { loaded: [], failed: [] };
+        for (const cached of Object.keys(require.cache)) {
+            if (cached.startsWith(this.directory + path.sep)) {
+                delete require.cache[cached];
+            }
+        }
+
+        const modules = new Map();
+        const loaded = [];
+        const failed = [];
+        const files = fs.readdirSync(this.directory).filter(file => file.endsWith('.js')).sort();
+        for (const file of files) {
+            try {
+                const exported = require(path.join(this.directory, file));
+                const problems = checkHookModule(exported);
+                if (problems.length > 0) {
+                    throw new Error(problems.join('; '));
+                }
+                modules.set(file, exported);
+                loaded.push(file);
+            } catch (error) {
+                logger.error('Failed to load hooks', { file, error });
+                failed.push({ file, message: error.message });
+                if (this.modules.has(file)) {
+                    modules.set(file, this.modules.get(file));
+                }
+            }
+        }
+        this.modules = modules;
+        logger.info('Loaded hooks', { files: loaded.length });
+        return { loaded, failed };
+    }
+
+    // [{ file, handler }] for the hook on the collection, '*' handlers of a
+    // file before its collection's
+    handlers(collectionName, hook) {
+        const handlers = [];
+        for (const [file, exported] of this.modules) {
+            for (const key of ['*', collectionName]) {
+                const handler = exported[key] && exported[key][hook];
+                if (handler) {
+                    handlers.push({ file, handler });
+                }
+            }
+        }
+        return handlers;
+    }
+
+    has(collectionName, hook) {
+        return this.handlers(collectionName, hook).length > 0;
+    }
+
+    call(file, handler, document, context) {
+        const { collectionName, hook } = context;
+        return withTimeout(Promise.resolve().then(() => handler(document, context)), this.timeout, () =>
+            new PyxiCloudError('HOOK_TIMEOUT', `Hook "${hook}" of "${collectionName}" in ${file} did not finish within ${this.timeout} ms`, {
+                collectionName,
+                hook,
+                file
+            }));
+    }
+
+    // The document after every before hook, each getting the previous one's
+    // result. Errors thrown by handlers reject the write with HOOK_REJECTED,
+    // unless they already carry a code.
+    async runBefore(document, context) {
+        const { collectionName, hook } = context;
+        let current = document;
+        for (const { file, handler } of this.handlers(collectionName, hook)) {
+            let result;
+            try {
+                result = await this.call(file, handler, current, context);
+            } catch (error) {
+                if (error instanceof PyxiCloudError) throw error;
+                throw new PyxiCloudError('HOOK_REJECTED', error && error.message ? error.message : String(error), {
+                    collectionName,
+                    hook,
+                    file
+                });
+            }
+            if (result !== undefined) {
+                if (!isPlainObject(result)) {
+                    throw new PyxiCloudError('HOOK_REJECTED', `Hook "${hook}" of "${collectionName}" in ${file} must return a document or nothing`, {
+                        collectionName,
+                        hook,
+                        file
+                    });
+                }
+                current = result;
+            }
+        }
+        return current;
+    }
+
+    // After hooks run one after another without holding up the write;
+    // failures are only logged
+    async runAfter(document, context) {
+        const { collectionName, hook } = context;
+        for (const { file, handler } of this.handlers(collectionName, hook)) {
+            try {
+                await this.call(file, handler, document, context);
+            } catch (error) {
+                logger.error('After hook failed', { collectionName, hook, file, error });
+            }
+        }
+    }
+}
+
+module.exports = {
+    HookRegistry
+};
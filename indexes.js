@@ -0,0 +1,303 @@
+// indexes.js
+
+const { resolvePath } = require('./paths');
+const { TextIndex } = require('./textsearch');
+
+// Indexes map field values to document positions in the collection array.
+// They only narrow down candidates; callers still run matchQuery on the
+// result, so every lookup must return a superset of the real matches.
+
+const RANGE_OPERATORS = ['$gt', '$gte', '$lt', '$lte'];
+
+function valueType(value) {
+    if (value === null) return 'null';
+    if (Array.isArray(value)) return 'array';
+    return typeof value;
+}
+
+function isHashable(value) {
+    const type = valueType(value);
+    return type !== 'object' && type !== 'array';
+}
+
+// First index in sorted entries whose value is >= (or > when exclusive) value
+function lowerBound(entries, value, exclusive) {
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+        const mid = (low + high) >>> 1;
+        const entryValue = entries[mid].value;
+        if (entryValue < value || (exclusive && entryValue === value)) {
+            low = mid + 1;
+        } else {
+            high = mid;
+        }
+    }
+    return low;
+}
+
+class FieldIndex {
+    constructor(field, { unique = false } = {}) {
+        this.field = field;
+        this.unique = unique;
+        this.hash = new Map();
+        this.sorted = { number: [], string: [] };
+        this.positionsByType = new Map();
+    }
+
+    // In bulk, values are appended and sortValues restores the order once
+    // they are all in
+    add(value, position, bulk = false) {
+        const type = valueType(value);
+        if (!this.positionsByType.has(type)) {
+            this.positionsByType.set(type, new Set());
+        }
+        this.positionsByType.get(type).add(position);
+
+        if (isHashable(value)) {
+            if (!this.hash.has(value)) {
+                this.hash.set(value, new Set());
+            }
+            this.hash.get(value).add(position);
+        }
+
+        const entries = this.sorted[type];
+        if (entries && bulk) {
+            entries.push({ value, position });
+        } else if (entries) {
+            entries.splice(lowerBound(entries, value, true), 0, { value, position });
+        }
+    }
+
+    // Equal values stay in position order, like adding them one by one
+    sortValues() {
+        for (const entries of Object.values(this.sorted)) {
+            entries.sort((a, b) => (a.value < b.value ? -1 : a.value > b.value ? 1 : a.position - b.position));
+        }
+    }
+
+    remove(value, position) {
+        const type = valueType(value);
+        const typed = this.positionsByType.get(type);
+        if (typed) {
+            typed.delete(position);
+        }
+
+        if (isHashable(value)) {
+            const positions = this.hash.get(value);
+            if (positions) {
+                positions.delete(position);
+                if (positions.size === 0) {
+                    this.hash.delete(value);
+                }
+            }
+        }
+
+        const entries = this.sorted[type];
+        if (entries) {
+            for (let i = lowerBound(entries, value, false); i < entries.length && entries[i].value === value; i++) {
+                if (entries[i].position === position) {
+                    entries.splice(i, 1);
+                    break;
+                }
+            }
+        }
+    }
+
+    // Positions holding value, or null when the value can't be looked up.
+    // Array fields match when they contain the value, so they are always
+    // candidates.
+    equal(value) {
+        if (!isHashable(value)) return null;
+        return new Set([...(this.hash.get(value) || []), ...(this.positionsByType.get('array') || [])]);
+    }
+
+    in(values) {
+        if (!Array.isArray(values) || !values.every(isHashable)) return null;
+        const positions = new Set(this.positionsByType.get('array') || []);
+        for (const value of values) {
+            (this.hash.get(value) || []).forEach(position => positions.add(position));
+        }
+        return positions;
+    }
+
+    // Like equal, but only documents holding exactly value
+    exact(value) {
+        if (!isHashable(value)) return null;
+        return new Set(this.hash.get(value) || []);
+    }
+
+    range(operators) {
+        const bounds = Object.entries(operators).filter(([operator]) => RANGE_OPERATORS.includes(operator));
+        const type = bounds.length > 0 ? valueType(bounds[0][1]) : null;
+        if (!this.sorted[type] || !bounds.every(([, operand]) => valueType(operand) === type)) {
+            return null;
+        }
+
+        const entries = this.sorted[type];
+        let start = 0;
+        let end = entries.length;
+        for (const [operator, operand] of bounds) {
+            switch (operator) {
+                case '$gt':
+                    start = Math.max(start, lowerBound(entries, operand, true));
+                    break;
+                case '$gte':
+                    start = Math.max(start, lowerBound(entries, operand, false));
+                    break;
+                case '$lt':
+                    end = Math.min(end, lowerBound(entries, operand, false));
+                    break;
+                case '$lte':
+                    end = Math.min(end, lowerBound(entries, operand, true));
+                    break;
+            }
+        }
+
+        const positions = new Set();
+        for (let i = start; i < end; i++) {
+            positions.add(entries[i].position);
+        }
+
+        // Relational operators coerce, so values of any other defined type may
+        // still match and are left for matchQuery to decide.
+        for (const [otherType, typed] of this.positionsByType) {
+            if (otherType !== type && otherType !== 'undefined') {
+                typed.forEach(position => positions.add(position));
+            }
+        }
+        return positions;
+    }
+
+    // Position of another document already holding value, or -1
+    findConflict(value, exceptPosition) {
+        const positions = this.exact(value);
+        if (!positions) return -1;
+        for (const position of positions) {
+            if (position !== exceptPosition) return position;
+        }
+        return -1;
+    }
+
+    // Some value held by more than one document, as { value }, or null
+    findDuplicate() {
+        for (const [value, positions] of this.hash) {
+            if (value !== undefined && positions.size > 1) {
+                return { value };
+            }
+        }
+        return null;
+    }
+
+    describe() {
+        return {
+            field: this.field,
+            unique: this.unique,
+            types: ['hash', 'sorted'],
+            distinctValues: this.hash.size
+        };
+    }
+}
+
+class CollectionIndexes {
+    // textFields: [{ field, weight }] for the collection's one text index
+    constructor(definitions, textFields = []) {
+        this.fields = new Map();
+        this.size = 0;
+        for (const { field, unique } of definitions) {
+            this.fields.set(field, new FieldIndex(field, { unique }));
+        }
+        this.text = textFields.length > 0 ? new TextIndex(textFields) : null;
+    }
+
+    build(collection) {
+        collection.forEach(doc => this.insert(doc, true));
+        this.fields.forEach(index => index.sortValues());
+    }
+
+    insert(doc, bulk = false) {
+        const position = this.size++;
+        for (const [field, index] of this.fields) {
+            index.add(resolvePath(doc, field), position, bulk);
+        }
+        if (this.text) {
+            this.text.add(position, doc);
+        }
+    }
+
+    update(position, previous, doc) {
+        for (const [field, index] of this.fields) {
+            index.remove(resolvePath(previous, field), position);
+            index.add(resolvePath(doc, field), position);
+        }
+        if (this.text) {
+            this.text.remove(position);
+            this.text.add(position, doc);
+        }
+    }
+
+    get(field) {
+        return this.fields.get(field);
+    }
+
+    list() {
+        const indexes = [...this.fields.values()].map(index => index.describe());
+        return this.text ? [...indexes, this.text.describe()] : indexes;
+    }
+
+    // Candidate positions for a matchQuery-style query, or null when no
+    // index applies and the whole collection has to be scanned.
+    candidates(query) {
+        let result = null;
+        for (const [key, value] of Object.entries(query)) {
+            if (key.startsWith('$')) continue;
+            const index = this.fields.get(key);
+            if (!index) continue;
+
+            const positions = this.lookup(index, value);
+            if (!positions) continue;
+
+            result = result === null
+                ? positions
+                : new Set([...result].filter(position => positions.has(position)));
+        }
+        return result;
+    }
+
+    lookup(index, value) {
+        if (typeof value !== 'object' || value === null) {
+            return index.equal(value);
+        }
+        if (Array.isArray(value)) {
+            return null;
+        }
+
+        let result = null;
+        const narrow = positions => {
+            if (!positions) return;
+            result = result === null
+                ? positions
+                : new Set([...result].filter(position => positions.has(position)));
+        };
+
+        if ('$eq' in value) narrow(index.equal(value.$eq));
+        if ('$in' in value) narrow(index.in(value.$in));
+        if (RANGE_OPERATORS.some(operator => operator in value)) narrow(index.range(value));
+        return result;
+    }
+}
+
+// Fields with index: true or unique: true in a schema definition, after the
+// unique index every collection has on _id
+function indexDefinitions(schema) {
+    const fields = Object.entries(schema)
+        .filter(([field, fieldSchema]) => field !== '_id' && (fieldSchema.index || fieldSchema.unique))
+        .map(([field, fieldSchema]) => ({ field, unique: Boolean(fieldSchema.unique) }));
+    return [{ field: '_id', unique: true }, ...fields];
+}
+
+module.exports = {
+    CollectionIndexes,
+    FieldIndex,
+    indexDefinitions
+};
@@ -0,0 +1,101 @@
+// journal.js
+const fs = require('fs');
+const { writeFileAtomic } = require('./storage');
+
+// Records every persisted change with a sequence number and a timestamp, so
+// the state at any moment after a backup can be rebuilt by replaying the
+// journal on top of it. Entries are one JSON line each:
+//   { seq, timestamp, batch: [{ collection, mutation }] }   data changes
+//   { seq, timestamp, collection, schema }                  schema changes, schema null when dropped
+// Mutations are stored as the storage engine received them. The last
+// sequence number is also kept in a file next to the journal, so numbering
+// continues after trim has emptied it; backups and followers remember
+// positions in it.
+class MutationJournal {
+    constructor({ filePath, codec }) {
+        this.filePath = filePath;
+        this.seqPath = `${filePath}.seq`;
+        this.codec = codec;
+        this.fd = null;
+        this.seq = 0;
+    }
+
+    open() {
+        const { entries, validLength } = this.readFile();
+        if (fs.existsSync(this.filePath) && validLength < fs.statSync(this.filePath).size) {
+            fs.truncateSync(this.filePath, validLength);
+        }
+        const savedSeq = fs.existsSync(this.seqPath) ? Number(fs.readFileSync(this.seqPath, 'utf-8')) || 0 : 0;
+        this.seq = Math.max(savedSeq, entries.length > 0 ? entries[entries.length - 1].seq : 0);
+        this.fd = fs.openSync(this.filePath, 'a');
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    // A torn final line is dropped like in the write-ahead log
+    readFile() {
+        if (!fs.existsSync(this.filePath)) {
+            return { entries: [], validLength: 0 };
+        }
+        const lines = fs.readFileSync(this.filePath, 'utf-8').split('\n');
+        const entries = [];
+        let validLength = 0;
+        for (const [lineIndex, line] of lines.entries()) {
+            if (line.length === 0) continue;
+            try {
+                entries.push(JSON.parse(this.codec.decode(line)));
+            } catch (error) {
+                if (lines.slice(lineIndex + 1).some(rest => rest.length > 0)) {
+                    throw new Error(`Unreadable journal entry ${lineIndex + 1}: ${error.message}`);
+                }
+                break;
+            }
+            validLength += Buffer.byteLength(line) + 1;
+        }
+        return { entries, validLength };
+    }
+
+    // Returns the entry as journaled
+    append(change) {
+        const entry = {
+            seq: this.seq + 1,
+            timestamp: new Date().toISOString(),
+            ...change
+        };
+        fs.writeSync(this.fd, this.codec.encode(JSON.stringify(entry)) + '\n');
+        fs.fsyncSync(this.fd);
+        this.seq++;
+        return entry;
+    }
+
+    // Entries after afterSeq, up to and including the time until (ms)
+    entries({ afterSeq = 0, until = Infinity } = {}) {
+        return this.readFile().entries
+            .filter(entry => entry.seq > afterSeq && Date.parse(entry.timestamp) <= until);
+    }
+
+    // Drops entries no backup can be combined with anymore
+    trim(throughSeq) {
+        this.rewrite(entries => entries.filter(entry => entry.seq > throughSeq));
+    }
+
+    // Rewrites the journal with transform(entries), encoded with the current
+    // codec; used by trim and key rotation
+    rewrite(transform) {
+        const entries = transform(this.readFile().entries);
+        const contents = entries.map(entry => this.codec.encode(JSON.stringify(entry)) + '\n').join('');
+        writeFileAtomic(this.seqPath, String(this.seq));
+        this.close();
+        writeFileAtomic(this.filePath, contents);
+        this.fd = fs.openSync(this.filePath, 'a');
+    }
+}
+
+module.exports = {
+    MutationJournal
+};
@@ -0,0 +1,73 @@
+// logger.js
+const { PyxiCloudError } = require('./errors');
+
+// Log entries are one JSON object per line:
+//   {"time":"2024-05-01T12:00:00.000Z","level":"info","message":"Client connected","ip":"127.0.0.1"}
+// debug and info go to stdout, warn and error to stderr, unless an output
+// stream is configured for all of them.
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Errors as plain fields. Stacks are only kept for unexpected errors.
+function describeLoggedError(error) {
+    if (!(error instanceof Error)) {
+        return error;
+    }
+    const described = { message: error.message };
+    if (error.code !== undefined) described.code = error.code;
+    if (!(error instanceof PyxiCloudError)) described.stack = error.stack;
+    return described;
+}
+
+class Logger {
+    constructor({ level = 'info', output = null } = {}) {
+        this.configure({ level, output });
+    }
+
+    configure({ level = this.level, output = this.output } = {}) {
+        if (!Object.prototype.hasOwnProperty.call(LEVELS, level)) {
+            throw new Error(`logLevel must be one of ${Object.keys(LEVELS).join(', ')}`);
+        }
+        this.level = level;
+        this.output = output;
+    }
+
+    enabled(level) {
+        return LEVELS[level] >= LEVELS[this.level];
+    }
+
+    log(level, message, fields = {}) {
+        if (!this.enabled(level)) return;
+        const entry = { time: new Date().toISOString(), level, message };
+        for (const [key, value] of Object.entries(fields)) {
+            if (value !== undefined) {
+                entry[key] = describeLoggedError(value);
+            }
+        }
+        const output = this.output || (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout);
+        output.write(`${JSON.stringify(entry)}\n`);
+    }
+
+    debug(message, fields) {
+        this.log('debug', message, fields);
+    }
+
+    info(message, fields) {
+        this.log('info', message, fields);
+    }
+
+    warn(message, fields) {
+        this.log('warn', message, fields);
+    }
+
+    error(message, fields) {
+        this.log('error', message, fields);
+    }
+}
+
+// Shared by every module; the server applies config.logLevel
+const logger = new Logger({ level: process.env.PYXICLOUD_LOG_LEVEL || 'info' });
+
+module.exports = {
+    Logger,
+    logger
+};
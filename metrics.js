@@ -0,0 +1,163 @@
+// metrics.js
+
+// Counters, gauges and histograms with labels, rendered in the Prometheus
+// text exposition format. Series are keyed by their label values in the
+// order of labelNames.
+const DURATION_BUCKETS = [0.001, 0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function formatLabels(names, values, extra = '') {
+    const pairs = names.map((name, i) => `${name}="${escapeLabelValue(values[i])}"`);
+    if (extra) pairs.push(extra);
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function formatValue(value) {
+    if (value === Infinity) return '+Inf';
+    if (value === -Infinity) return '-Inf';
+    return String(value);
+}
+
+class Metric {
+    constructor(type, name, help, labelNames = []) {
+        this.type = type;
+        this.name = name;
+        this.help = help;
+        this.labelNames = labelNames;
+        // JSON of the label values -> { values, ... }
+        this.series = new Map();
+    }
+
+    seriesFor(labels) {
+        const values = this.labelNames.map(name => (labels[name] === undefined ? '' : labels[name]));
+        const key = JSON.stringify(values);
+        if (!this.series.has(key)) {
+            this.series.set(key, this.createSeries(values));
+        }
+        return this.series.get(key);
+    }
+
+    reset() {
+        this.series.clear();
+    }
+
+    render() {
+        const lines = [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+        for (const series of this.series.values()) {
+            lines.push(...this.renderSeries(series));
+        }
+        return lines.join('\n');
+    }
+}
+
+class Counter extends Metric {
+    constructor(name, help, labelNames) {
+        super('counter', name, help, labelNames);
+    }
+
+    createSeries(values) {
+        return { values, value: 0 };
+    }
+
+    inc(labels = {}, amount = 1) {
+        this.seriesFor(labels).value += amount;
+    }
+
+    // Sum over every series, or those whose labels include labels
+    total(labels = {}) {
+        let total = 0;
+        for (const series of this.series.values()) {
+            if (this.labelNames.every((name, i) => labels[name] === undefined || series.values[i] === labels[name])) {
+                total += series.value;
+            }
+        }
+        return total;
+    }
+
+    renderSeries({ values, value }) {
+        return [`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`];
+    }
+}
+
+// Gauges of current state are usually reset and set again right before
+// rendering
+class Gauge extends Metric {
+    constructor(name, help, labelNames) {
+        super('gauge', name, help, labelNames);
+    }
+
+    createSeries(values) {
+        return { values, value: 0 };
+    }
+
+    set(labels, value) {
+        this.seriesFor(labels).value = value;
+    }
+
+    renderSeries({ values, value }) {
+        return [`${this.name}${formatLabels(this.labelNames, values)} ${formatValue(value)}`];
+    }
+}
+
+class Histogram extends Metric {
+    constructor(name, help, labelNames, buckets = DURATION_BUCKETS) {
+        super('histogram', name, help, labelNames);
+        this.buckets = buckets;
+    }
+
+    createSeries(values) {
+        return { values, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+    }
+
+    observe(labels, value) {
+        const series = this.seriesFor(labels);
+        this.buckets.forEach((bound, i) => {
+            if (value <= bound) series.counts[i]++;
+        });
+        series.sum += value;
+        series.count++;
+    }
+
+    renderSeries({ values, counts, sum, count }) {
+        const lines = this.buckets.map((bound, i) =>
+            `${this.name}_bucket${formatLabels(this.labelNames, values, `le="${formatValue(bound)}"`)} ${counts[i]}`);
+        lines.push(`${this.name}_bucket${formatLabels(this.labelNames, values, 'le="+Inf"')} ${count}`);
+        lines.push(`${this.name}_sum${formatLabels(this.labelNames, values)} ${formatValue(sum)}`);
+        lines.push(`${this.name}_count${formatLabels(this.labelNames, values)} ${count}`);
+        return lines;
+    }
+}
+
+class MetricsRegistry {
+    constructor() {
+        this.metrics = [];
+    }
+
+    register(metric) {
+        this.metrics.push(metric);
+        return metric;
+    }
+
+    counter(name, help, labelNames) {
+        return this.register(new Counter(name, help, labelNames));
+    }
+
+    gauge(name, help, labelNames) {
+        return this.register(new Gauge(name, help, labelNames));
+    }
+
+    histogram(name, help, labelNames, buckets) {
+        return this.register(new Histogram(name, help, labelNames, buckets));
+    }
+
+    render() {
+        return `${this.metrics.map(metric => metric.render()).join('\n')}\n`;
+    }
+}
+
+module.exports = {
+    MetricsRegistry
+};
@@ -0,0 +1,108 @@
+// migrations.js
+
+const { RESERVED_KEYS } = require('./paths');
+
+// A migration spec accompanies UpdateSchema and is applied to every document:
+//   rename    { oldField: 'newField' }
+//   remove    ['field']
+//   coerce    { field: 'string' | 'number' | 'integer' | 'boolean' | 'date' }
+//   backfill  { field: value } set on documents where the field is missing
+// Steps run in that order.
+const COERCIONS = ['string', 'number', 'integer', 'boolean', 'date'];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// Problems with a migration spec, as a list of messages
+function checkMigration(migration) {
+    const problems = [];
+    if (!isPlainObject(migration)) {
+        return ['Migration must be an object'];
+    }
+
+    const { rename = {}, remove = [], coerce = {}, backfill = {} } = migration;
+    if (!isPlainObject(rename) || !Object.values(rename).every(field => typeof field === 'string' && field.length > 0)) {
+        problems.push('rename must map field names to new field names');
+    }
+    if (!Array.isArray(remove) || !remove.every(field => typeof field === 'string')) {
+        problems.push('remove must be an array of field names');
+    }
+    if (!isPlainObject(coerce) || !Object.values(coerce).every(type => COERCIONS.includes(type))) {
+        problems.push(`coerce types must be one of ${COERCIONS.join(', ')}`);
+    }
+    if (!isPlainObject(backfill)) {
+        problems.push('backfill must map field names to values');
+    }
+
+    const fields = [
+        ...(isPlainObject(rename) ? [...Object.keys(rename), ...Object.values(rename)] : []),
+        ...(Array.isArray(remove) ? remove : []),
+        ...(isPlainObject(coerce) ? Object.keys(coerce) : []),
+        ...(isPlainObject(backfill) ? Object.keys(backfill) : [])
+    ];
+    const reserved = fields.find(field => RESERVED_KEYS.includes(field));
+    if (reserved !== undefined) {
+        problems.push(`Migration cannot use field name "${reserved}"`);
+    }
+    return problems;
+}
+
+function coerceValue(value, type) {
+    if (value === null || value === undefined) {
+        return value;
+    }
+    switch (type) {
+        case 'string':
+            return typeof value === 'object' ? JSON.stringify(value) : String(value);
+        case 'number': {
+            const number = Number(value);
+            return Number.isNaN(number) ? value : number;
+        }
+        case 'integer': {
+            const number = Number(value);
+            return Number.isNaN(number) ? value : Math.trunc(number);
+        }
+        case 'boolean':
+            if (value === 'false' || value === '0' || value === 0) return false;
+            return Boolean(value);
+        case 'date': {
+            const date = new Date(value);
+            return Number.isNaN(date.getTime()) ? value : date.toISOString();
+        }
+        default:
+            return value;
+    }
+}
+
+// Returns a migrated copy of document
+function applyMigration(document, migration) {
+    const { rename = {}, remove = [], coerce = {}, backfill = {} } = migration;
+    const migrated = { ...document };
+
+    for (const [from, to] of Object.entries(rename)) {
+        if (from in migrated) {
+            migrated[to] = migrated[from];
+            delete migrated[from];
+        }
+    }
+    for (const field of remove) {
+        delete migrated[field];
+    }
+    for (const [field, type] of Object.entries(coerce)) {
+        if (field in migrated) {
+            migrated[field] = coerceValue(migrated[field], type);
+        }
+    }
+    for (const [field, value] of Object.entries(backfill)) {
+        if (migrated[field] === undefined) {
+            migrated[field] = value;
+        }
+    }
+    return migrated;
+}
+
+module.exports = {
+    applyMigration,
+    checkMigration
+};
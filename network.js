@@ -0,0 +1,83 @@
+// network.js
+const net = require('net');
+
+// One spelling per address: IPv4-mapped IPv6 addresses become plain IPv4
+// and IPv6 addresses are compressed and lowercased, so '::ffff:127.0.0.1'
+// and '127.0.0.1' are the same client. Returns null for anything else.
+function normalizeIP(address) {
+    if (typeof address !== 'string') return null;
+    const withoutZone = address.trim().replace(/%.*$/, '');
+    if (net.isIPv4(withoutZone)) {
+        return withoutZone;
+    }
+    if (!net.isIPv6(withoutZone)) {
+        return null;
+    }
+    const canonical = new URL(`http://[${withoutZone}]`).hostname.slice(1, -1);
+    const mapped = canonical.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/);
+    if (mapped) {
+        const high = parseInt(mapped[1], 16);
+        const low = parseInt(mapped[2], 16);
+        return [high >> 8, high & 255, low >> 8, low & 255].join('.');
+    }
+    return canonical;
+}
+
+// Addresses and CIDR ranges, IPv4 or IPv6, e.g.
+// ['127.0.0.1', '10.0.0.0/8', '::1', 'fd00::/8']
+class IPList {
+    constructor(entries = []) {
+        this.entries = entries;
+        this.blockList = new net.BlockList();
+        for (const entry of entries) {
+            const [address, prefix, ...rest] = String(entry).split('/');
+            const normalized = normalizeIP(address);
+            const type = net.isIPv4(normalized) ? 'ipv4' : 'ipv6';
+            const maxPrefix = type === 'ipv4' ? 32 : 128;
+            if (!normalized || rest.length > 0 ||
+                (prefix !== undefined && !(/^\d+$/.test(prefix) && Number(prefix) <= maxPrefix))) {
+                throw new Error(`Invalid IP address or CIDR range "${entry}"`);
+            }
+            if (prefix === undefined) {
+                this.blockList.addAddress(normalized, type);
+            } else {
+                this.blockList.addSubnet(normalized, Number(prefix), type);
+            }
+        }
+    }
+
+    has(address) {
+        const normalized = normalizeIP(address);
+        if (!normalized) return false;
+        return this.blockList.check(normalized, net.isIPv4(normalized) ? 'ipv4' : 'ipv6');
+    }
+}
+
+// The client's address. Behind trusted proxies it is taken from
+// X-Forwarded-For: the rightmost entry that isn't a trusted proxy itself,
+// since everything left of that could have been sent by the client.
+function clientAddress(req, trustedProxies) {
+    const remoteAddress = normalizeIP(req.socket.remoteAddress);
+    const header = req.headers['x-forwarded-for'];
+    if (!header || !trustedProxies.has(remoteAddress)) {
+        return remoteAddress;
+    }
+    const forwarded = (Array.isArray(header) ? header.join(',') : header)
+        .split(',')
+        .map(address => normalizeIP(address));
+    for (let i = forwarded.length - 1; i >= 0; i--) {
+        if (!forwarded[i]) {
+            break;
+        }
+        if (!trustedProxies.has(forwarded[i])) {
+            return forwarded[i];
+        }
+    }
+    return remoteAddress;
+}
+
+module.exports = {
+    normalizeIP,
+    IPList,
+    clientAddress
+};
@@ -0,0 +1,127 @@
+// paths.js
+
+// Dot-notation helpers: 'address.city' walks into nested objects and
+// 'tags.0' into array elements.
+
+// Segments that would walk into or overwrite Object.prototype
+const RESERVED_KEYS = ['__proto__', 'constructor', 'prototype'];
+
+function splitPath(path) {
+    const keys = String(path).split('.');
+    const reserved = keys.find(key => RESERVED_KEYS.includes(key));
+    if (reserved !== undefined) {
+        throw new Error(`Field path "${path}" cannot use "${reserved}"`);
+    }
+    return keys;
+}
+
+// Throws for paths the helpers below refuse, so requests fail before
+// anything is written
+function checkPath(path) {
+    splitPath(path);
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function getPath(doc, path) {
+    let current = doc;
+    for (const key of splitPath(path)) {
+        if (current === null || typeof current !== 'object') {
+            return undefined;
+        }
+        current = current[key];
+    }
+    return current;
+}
+
+// Like getPath, but a key that is not an array index is looked up in every
+// element of an array, so 'items.name' collects the names of all items.
+function resolvePath(doc, path) {
+    return resolveKeys(doc, splitPath(path));
+}
+
+function resolveKeys(value, keys) {
+    if (keys.length === 0) {
+        return value;
+    }
+    if (value === null || typeof value !== 'object') {
+        return undefined;
+    }
+    if (Array.isArray(value) && !/^\d+$/.test(keys[0])) {
+        const values = value
+            .map(element => resolveKeys(element, keys))
+            .filter(element => element !== undefined);
+        return values.length > 0 ? [].concat(...values) : undefined;
+    }
+    return resolveKeys(value[keys[0]], keys.slice(1));
+}
+
+// Sets a value, creating intermediate objects as needed. Mutates doc.
+function setPath(doc, path, value) {
+    const keys = splitPath(path);
+    let current = doc;
+    for (const key of keys.slice(0, -1)) {
+        if (current[key] === undefined || current[key] === null) {
+            current[key] = {};
+        } else if (typeof current[key] !== 'object') {
+            throw new Error(`Cannot set "${path}": "${key}" is not an object`);
+        }
+        current = current[key];
+    }
+    current[keys[keys.length - 1]] = value;
+}
+
+// Removes a value if present. Mutates doc.
+function unsetPath(doc, path) {
+    const keys = splitPath(path);
+    const parent = keys.length === 1 ? doc : getPath(doc, keys.slice(0, -1).join('.'));
+    const last = keys[keys.length - 1];
+    if (parent === null || typeof parent !== 'object' || !(last in parent)) {
+        return false;
+    }
+    if (Array.isArray(parent)) {
+        // Like MongoDB, unsetting an array element leaves a null in its place
+        parent[last] = null;
+    } else {
+        delete parent[last];
+    }
+    return true;
+}
+
+function hasPath(doc, path) {
+    const keys = splitPath(path);
+    const parent = keys.length === 1 ? doc : getPath(doc, keys.slice(0, -1).join('.'));
+    return parent !== null && typeof parent === 'object' && keys[keys.length - 1] in parent;
+}
+
+function deepEqual(a, b) {
+    if (a === b) return true;
+    if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+        return false;
+    }
+    if (Array.isArray(a) !== Array.isArray(b)) return false;
+
+    const keysA = Object.keys(a);
+    const keysB = Object.keys(b);
+    if (keysA.length !== keysB.length) return false;
+    return keysA.every(key => Object.prototype.hasOwnProperty.call(b, key) && deepEqual(a[key], b[key]));
+}
+
+function cloneDocument(doc) {
+    return JSON.parse(JSON.stringify(doc));
+}
+
+module.exports = {
+    RESERVED_KEYS,
+    checkPath,
+    getPath,
+    resolvePath,
+    setPath,
+    unsetPath,
+    hasPath,
+    deepEqual,
+    cloneDocument,
+    isPlainObject
+};
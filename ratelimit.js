@@ -0,0 +1,117 @@
+// ratelimit.js
+
+// Holds up to burst tokens and regains perSecond of them every second
+class TokenBucket {
+    constructor({ burst, perSecond }, now) {
+        this.burst = burst;
+        this.perSecond = perSecond;
+        this.tokens = burst;
+        this.updatedAt = now;
+    }
+
+    refill(now) {
+        this.tokens = Math.min(this.burst, this.tokens + (now - this.updatedAt) / 1000 * this.perSecond);
+        this.updatedAt = now;
+    }
+
+    // Milliseconds until cost tokens are available, 0 if they are now
+    waitFor(cost) {
+        if (this.tokens >= cost) return 0;
+        if (cost > this.burst || this.perSecond <= 0) return Infinity;
+        return Math.ceil((cost - this.tokens) / this.perSecond * 1000);
+    }
+}
+
+// Token buckets per client IP and per user, and temporary bans of IPs that
+// keep failing to authenticate. Times are in milliseconds.
+class RateLimiter {
+    constructor({ ipLimit, userLimit, authFailureLimit, authFailureWindow, authBanDuration }) {
+        this.limits = { ip: ipLimit, user: userLimit };
+        this.authFailureLimit = authFailureLimit;
+        this.authFailureWindow = authFailureWindow;
+        this.authBanDuration = authBanDuration;
+        this.buckets = new Map();
+        this.authFailures = new Map();
+        this.bans = new Map();
+    }
+
+    bucket(kind, key, now) {
+        const id = `${kind}:${key}`;
+        let bucket = this.buckets.get(id);
+        if (!bucket) {
+            bucket = new TokenBucket(this.limits[kind], now);
+            this.buckets.set(id, bucket);
+        }
+        bucket.refill(now);
+        return bucket;
+    }
+
+    // Takes cost tokens from the IP's bucket and, when given, the user's.
+    // Nothing is taken unless both have enough. Returns 0 when the request
+    // may go ahead, otherwise how long to wait before retrying.
+    consume({ ip, username }, cost, now = Date.now()) {
+        const buckets = [this.bucket('ip', ip, now)];
+        if (username) {
+            buckets.push(this.bucket('user', username, now));
+        }
+        const retryAfter = Math.max(...buckets.map(bucket => bucket.waitFor(cost)));
+        if (retryAfter > 0) {
+            return retryAfter;
+        }
+        buckets.forEach(bucket => { bucket.tokens -= cost; });
+        return 0;
+    }
+
+    // Returns true when this failure gets the IP banned
+    recordAuthFailure(ip, now = Date.now()) {
+        const failures = (this.authFailures.get(ip) || []).filter(time => now - time < this.authFailureWindow);
+        failures.push(now);
+        if (failures.length < this.authFailureLimit) {
+            this.authFailures.set(ip, failures);
+            return false;
+        }
+        this.authFailures.delete(ip);
+        this.bans.set(ip, now + this.authBanDuration);
+        return true;
+    }
+
+    clearAuthFailures(ip) {
+        this.authFailures.delete(ip);
+    }
+
+    // Milliseconds left on the IP's ban, 0 when it isn't banned
+    banTimeLeft(ip, now = Date.now()) {
+        const until = this.bans.get(ip);
+        if (until === undefined) return 0;
+        if (until <= now) {
+            this.bans.delete(ip);
+            return 0;
+        }
+        return until - now;
+    }
+
+    // Forgets full buckets, old failures and expired bans
+    sweep(now = Date.now()) {
+        for (const [id, bucket] of this.buckets) {
+            bucket.refill(now);
+            if (bucket.tokens >= bucket.burst) {
+                this.buckets.delete(id);
+            }
+        }
+        for (const [ip, failures] of this.authFailures) {
+            if (failures.every(time => now - time >= this.authFailureWindow)) {
+                this.authFailures.delete(ip);
+            }
+        }
+        for (const [ip, until] of this.bans) {
+            if (until <= now) {
+                this.bans.delete(ip);
+            }
+        }
+    }
+}
+
+module.exports = {
+    TokenBucket,
+    RateLimiter
+};
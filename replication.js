@@ -0,0 +1,167 @@
+// replication.js
+const fs = require('fs');
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { writeFileAtomic } = require('./storage');
+const { logger } = require('./logger');
+
+const ROLES = ['standalone', 'primary', 'follower'];
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 30 * 1000;
+
+// Persisted in Database/replication.json:
+//   serverId     identifies this server's operation log to its followers
+//   primaryId    serverId of the primary a follower replicates from
+//   appliedSeq   last primary log position a follower has applied
+//   promoted     set once a follower is promoted, so it stays primary
+class ReplicationState {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.serverId = null;
+        this.primaryId = null;
+        this.appliedSeq = 0;
+        this.promoted = false;
+    }
+
+    open() {
+        if (fs.existsSync(this.filePath)) {
+            Object.assign(this, JSON.parse(fs.readFileSync(this.filePath, 'utf-8')));
+        }
+        if (!this.serverId) {
+            this.serverId = crypto.randomBytes(8).toString('hex');
+            this.save();
+        }
+    }
+
+    save() {
+        const { serverId, primaryId, appliedSeq, promoted } = this;
+        writeFileAtomic(this.filePath, JSON.stringify({ serverId, primaryId, appliedSeq, promoted }, null, 2));
+    }
+}
+
+// Follower side: keeps a connection to the primary, asks it for the log
+// after the last applied position and hands every snapshot and log entry to
+// the callbacks, one at a time and in order. Reconnects with backoff.
+// tls holds PEM paths for a wss:// primary: { ca, cert, key }.
+class ReplicationClient {
+    constructor({ url, credentials, tls, state, onSnapshot, onEntry }) {
+        this.url = url;
+        this.credentials = credentials || {};
+        this.tlsOptions = {};
+        for (const option of ['ca', 'cert', 'key']) {
+            if (tls && tls[option]) {
+                this.tlsOptions[option] = fs.readFileSync(tls[option]);
+            }
+        }
+        this.state = state;
+        this.onSnapshot = onSnapshot;
+        this.onEntry = onEntry;
+        this.ws = null;
+        this.connected = false;
+        this.stopped = false;
+        this.retryDelay = MIN_RETRY_DELAY;
+        this.retryTimer = null;
+        // Applying is asynchronous, so messages are queued behind each other
+        this.applying = Promise.resolve();
+    }
+
+    start() {
+        this.stopped = false;
+        this.connect();
+    }
+
+    // Resolves once everything already received has been applied
+    stop() {
+        this.stopped = true;
+        clearTimeout(this.retryTimer);
+        if (this.ws) {
+            this.ws.terminate();
+            this.ws = null;
+        }
+        return this.applying;
+    }
+
+    connect() {
+        const ws = new WebSocket(this.url, 'pyxisdb-protocol', this.tlsOptions);
+        this.ws = ws;
+
+        ws.on('open', () => {
+            this.send('Authenticate', this.credentials);
+        });
+
+        ws.on('message', message => {
+            let event;
+            try {
+                event = JSON.parse(message.toString());
+            } catch (error) {
+                logger.warn('Invalid message from primary', { error });
+                return;
+            }
+            this.handleMessage(event);
+        });
+
+        ws.on('close', () => {
+            this.connected = false;
+            if (this.ws === ws) {
+                this.ws = null;
+            }
+            this.scheduleReconnect();
+        });
+
+        ws.on('error', error => {
+            logger.warn('Replication connection failed', { url: this.url, error });
+        });
+    }
+
+    scheduleReconnect() {
+        if (this.stopped) return;
+        clearTimeout(this.retryTimer);
+        this.retryTimer = setTimeout(() => this.connect(), this.retryDelay);
+        this.retryTimer.unref();
+        this.retryDelay = Math.min(this.retryDelay * 2, MAX_RETRY_DELAY);
+    }
+
+    send(type, data) {
+        this.ws.send(JSON.stringify({ type, requestId: type, data }));
+    }
+
+    handleMessage(event) {
+        if (event.status === 'error') {
+            logger.error('Primary rejected request', { requestId: event.requestId, code: event.code, reason: event.message });
+            this.ws.close();
+            return;
+        }
+        if (event.requestId === 'Authenticate') {
+            this.send('Replicate', { primaryId: this.state.primaryId, afterSeq: this.state.appliedSeq });
+            return;
+        }
+        if (event.requestId === 'Replicate') {
+            this.connected = true;
+            this.retryDelay = MIN_RETRY_DELAY;
+            logger.info('Replicating', { url: this.url, mode: event.data.mode, appliedSeq: this.state.appliedSeq });
+            return;
+        }
+        if (event.type !== 'Replication') {
+            return;
+        }
+
+        const ws = this.ws;
+        this.applying = this.applying
+            .then(() => event.snapshot
+                ? this.onSnapshot(event.primaryId, event.snapshot)
+                : this.onEntry(event.primaryId, event.entry))
+            .catch(error => {
+                // Reconnecting resumes from the last entry that was applied
+                logger.error('Failed to apply replicated change', { error });
+                if (ws && ws === this.ws) {
+                    ws.close();
+                }
+            });
+    }
+}
+
+module.exports = {
+    ReplicationState,
+    ReplicationClient,
+    ROLES
+};
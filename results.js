@@ -0,0 +1,206 @@
+// results.js
+const { checkPath, getPath, resolvePath, cloneDocument, isPlainObject, deepEqual } = require('./paths');
+
+// Sort order across types, lowest first
+const TYPE_ORDER = ['undefined', 'null', 'number', 'string', 'object', 'array', 'boolean'];
+
+function typeRank(value) {
+    if (value === null) return TYPE_ORDER.indexOf('null');
+    if (Array.isArray(value)) return TYPE_ORDER.indexOf('array');
+    const rank = TYPE_ORDER.indexOf(typeof value);
+    return rank === -1 ? TYPE_ORDER.length : rank;
+}
+
+function compareValues(a, b) {
+    const rankA = typeRank(a);
+    const rankB = typeRank(b);
+    if (rankA !== rankB) return rankA - rankB;
+
+    if (Array.isArray(a)) {
+        for (let i = 0; i < Math.min(a.length, b.length); i++) {
+            const result = compareValues(a[i], b[i]);
+            if (result !== 0) return result;
+        }
+        return a.length - b.length;
+    }
+    if (isPlainObject(a)) {
+        return compareValues(JSON.stringify(a), JSON.stringify(b));
+    }
+    if (a < b) return -1;
+    if (a > b) return 1;
+    return 0;
+}
+
+function checkSort(sort) {
+    if (!isPlainObject(sort) || !Object.values(sort).every(direction => direction === 1 || direction === -1)) {
+        throw new Error('sort must map field paths to 1 (ascending) or -1 (descending)');
+    }
+    Object.keys(sort).forEach(checkPath);
+}
+
+// Compares sort keys, then the tie-breaker so every document has a stable place
+function compareKeys(sort, a, b) {
+    const fields = Object.entries(sort);
+    for (let i = 0; i < fields.length; i++) {
+        const result = compareValues(a.values[i], b.values[i]) * fields[i][1];
+        if (result !== 0) return result;
+    }
+    return compareValues(a.tieBreaker, b.tieBreaker);
+}
+
+// entries: [{ document, tieBreaker }] in collection order
+function sortEntries(entries, sort) {
+    const fields = Object.keys(sort);
+    const keyed = entries.map(entry => ({
+        ...entry,
+        values: fields.map(field => getPath(entry.document, field))
+    }));
+    return keyed.sort((a, b) => compareKeys(sort, a, b));
+}
+
+function checkProjection(projection) {
+    if (!isPlainObject(projection)) {
+        throw new Error('projection must be an object');
+    }
+    Object.keys(projection).forEach(checkPath);
+    const modes = new Set(Object.entries(projection)
+        .filter(([field]) => field !== '_id')
+        .map(([, value]) => Boolean(value)));
+    if (modes.size > 1) {
+        throw new Error('projection cannot mix included and excluded fields');
+    }
+}
+
+// { a: 1, 'b.c': 1 } becomes { a: true, b: { c: true } }
+function projectionTree(fields) {
+    const tree = {};
+    for (const [field] of fields) {
+        const keys = field.split('.');
+        let node = tree;
+        for (const key of keys.slice(0, -1)) {
+            if (node[key] === true) {
+                // A parent path is already selected as a whole
+                node = null;
+                break;
+            }
+            node[key] = isPlainObject(node[key]) ? node[key] : {};
+            node = node[key];
+        }
+        if (node) {
+            node[keys[keys.length - 1]] = true;
+        }
+    }
+    return tree;
+}
+
+// Paths through arrays apply to every element, like 'items.name'
+function includeTree(value, tree) {
+    if (Array.isArray(value)) {
+        return value.filter(element => typeof element === 'object' && element !== null)
+            .map(element => includeTree(element, tree));
+    }
+    const result = {};
+    for (const [key, node] of Object.entries(tree)) {
+        if (!(key in value)) continue;
+        if (node === true) {
+            result[key] = cloneDocument(value[key]);
+        } else if (typeof value[key] === 'object' && value[key] !== null) {
+            result[key] = includeTree(value[key], node);
+        }
+    }
+    return result;
+}
+
+function excludeTree(value, tree) {
+    if (Array.isArray(value)) {
+        return value.map(element => typeof element === 'object' && element !== null ? excludeTree(element, tree) : element);
+    }
+    const result = { ...value };
+    for (const [key, node] of Object.entries(tree)) {
+        if (!(key in result)) continue;
+        if (node === true) {
+            delete result[key];
+        } else if (typeof result[key] === 'object' && result[key] !== null) {
+            result[key] = excludeTree(result[key], node);
+        }
+    }
+    return result;
+}
+
+// { a: 1, 'b.c': 1 } keeps only those paths, { a: 0 } removes them.
+// _id is kept unless it is excluded explicitly.
+function applyProjection(document, projection) {
+    if (!projection || Object.keys(projection).length === 0) {
+        return document;
+    }
+    const fields = Object.entries(projection).filter(([field]) => field !== '_id');
+    const include = fields.length > 0 ? Boolean(fields[0][1]) : false;
+    const excludeId = projection._id === 0 || projection._id === false;
+
+    let projected;
+    if (include) {
+        projected = includeTree(document, projectionTree(fields));
+        if (document._id !== undefined && !excludeId) {
+            projected = { _id: document._id, ...projected };
+        }
+    } else {
+        projected = cloneDocument(excludeTree(document, projectionTree(fields)));
+        if (excludeId) {
+            delete projected._id;
+        }
+    }
+    return projected;
+}
+
+// Cursors carry the sort keys of the last returned document, so the next
+// page starts right after it even if documents were inserted in between.
+// JSON has no undefined, so the positions of missing sort values are listed
+// to tell them apart from nulls.
+function encodeCursor(sort, entry) {
+    const missing = entry.values.map((value, i) => (value === undefined ? i : -1)).filter(i => i !== -1);
+    const payload = { sort, values: entry.values, missing, tieBreaker: entry.tieBreaker };
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+function decodeCursor(cursor, sort) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf-8'));
+    } catch (error) {
+        throw new Error('Invalid cursor');
+    }
+    if (!isPlainObject(payload) || !Array.isArray(payload.values) || !deepEqual(payload.sort, sort)) {
+        throw new Error('Cursor does not belong to this sort order');
+    }
+    for (const i of Array.isArray(payload.missing) ? payload.missing : []) {
+        if (Number.isInteger(i)) payload.values[i] = undefined;
+    }
+    return payload;
+}
+
+// Distinct values of a path; array values contribute each of their elements
+function distinctValues(documents, field) {
+    const values = [];
+    for (const document of documents) {
+        const value = resolvePath(document, field);
+        if (value === undefined) continue;
+        for (const item of Array.isArray(value) ? value : [value]) {
+            if (!values.some(existing => deepEqual(existing, item))) {
+                values.push(item);
+            }
+        }
+    }
+    return values;
+}
+
+module.exports = {
+    compareValues,
+    compareKeys,
+    checkSort,
+    sortEntries,
+    checkProjection,
+    applyProjection,
+    encodeCursor,
+    decodeCursor,
+    distinctValues
+};
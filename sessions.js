@@ -0,0 +1,131 @@
+// sessions.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { writeFileAtomic } = require('./storage');
+const { logger } = require('./logger');
+
+// Sessions are keyed by a hash of their token, so the persisted file can't
+// be used to log in. The short random id names a session in ListSessions and
+// RevokeSession without revealing its token.
+function hashToken(token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+class SessionStore {
+    constructor({ filePath, idleTimeout, maxAge, persist = false }) {
+        this.filePath = filePath;
+        this.idleTimeout = idleTimeout;
+        this.maxAge = maxAge;
+        this.persist = persist;
+        this.sessions = new Map();
+        this.dirty = false;
+    }
+
+    open() {
+        if (!this.persist || !fs.existsSync(this.filePath)) {
+            return;
+        }
+        try {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.sessions = new Map(Object.entries(stored));
+            this.sweep();
+        } catch (error) {
+            logger.error('Failed to load sessions, starting without them', { error });
+        }
+    }
+
+    save() {
+        this.dirty = false;
+        if (this.persist) {
+            writeFileAtomic(this.filePath, JSON.stringify(Object.fromEntries(this.sessions), null, 2));
+        }
+    }
+
+    // Idle updates are only written by sweep() and on shutdown, not per request
+    flush() {
+        if (this.dirty) {
+            this.save();
+        }
+    }
+
+    create(username) {
+        const token = crypto.randomBytes(32).toString('hex');
+        const now = Date.now();
+        this.sessions.set(hashToken(token), {
+            id: crypto.randomBytes(8).toString('hex'),
+            username,
+            createdAt: now,
+            lastSeen: now
+        });
+        this.save();
+        return token;
+    }
+
+    isExpired(session, now = Date.now()) {
+        return now - session.lastSeen > this.idleTimeout || now - session.createdAt > this.maxAge;
+    }
+
+    // Returns the session and marks it as used, or null if it is unknown or expired
+    touch(token) {
+        const key = hashToken(token);
+        const session = this.sessions.get(key);
+        if (!session) {
+            return null;
+        }
+        const now = Date.now();
+        if (this.isExpired(session, now)) {
+            this.sessions.delete(key);
+            this.save();
+            return null;
+        }
+        session.lastSeen = now;
+        this.dirty = true;
+        return session;
+    }
+
+    get(token) {
+        return this.sessions.get(hashToken(token)) || null;
+    }
+
+    delete(token) {
+        if (this.sessions.delete(hashToken(token))) {
+            this.save();
+        }
+    }
+
+    // Removes sessions that match predicate and returns their ids
+    deleteWhere(predicate) {
+        const removed = [];
+        for (const [key, session] of this.sessions) {
+            if (predicate(session)) {
+                this.sessions.delete(key);
+                removed.push(session.id);
+            }
+        }
+        if (removed.length > 0) {
+            this.save();
+        }
+        return removed;
+    }
+
+    sweep() {
+        const now = Date.now();
+        const removed = this.deleteWhere(session => this.isExpired(session, now));
+        this.flush();
+        return removed;
+    }
+
+    list() {
+        return [...this.sessions.values()].map(({ id, username, createdAt, lastSeen }) => ({
+            id,
+            username,
+            createdAt: new Date(createdAt).toISOString(),
+            lastSeen: new Date(lastSeen).toISOString(),
+            expiresAt: new Date(Math.min(lastSeen + this.idleTimeout, createdAt + this.maxAge)).toISOString()
+        }));
+    }
+}
+
+module.exports = {
+    SessionStore
+};
@@ -0,0 +1,359 @@
+// storage.js
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Mutations understood by every engine:
+//   { type: 'insert', documents }
+//   { type: 'update', changes: [{ index, document }] }
+//   { type: 'delete', indexes }
+//   { type: 'replace', documents }
+//   { type: 'drop' }
+function applyToCollection(collection, mutation) {
+    switch (mutation.type) {
+        case 'insert':
+            collection.push(...mutation.documents);
+            return collection;
+        case 'update':
+            for (const { index, document } of mutation.changes) {
+                collection[index] = document;
+            }
+            return collection;
+        case 'delete': {
+            const removed = new Set(mutation.indexes);
+            return collection.filter((doc, index) => !removed.has(index));
+        }
+        case 'replace':
+            return [...mutation.documents];
+        case 'drop':
+            return null;
+        default:
+            throw new Error(`Unknown storage mutation: ${mutation.type}`);
+    }
+}
+
+// Engines pass file contents and log lines through a codec, which encrypts
+// them when whole-file encryption is enabled
+const PLAIN_CODEC = {
+    encode: text => text,
+    decode: text => text
+};
+
+function writeFileAtomic(filePath, contents) {
+    const tempPath = `${filePath}.tmp`;
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, contents);
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+function listCollectionFiles(directory) {
+    return fs.readdirSync(directory)
+        .filter(file => file.endsWith('.json'))
+        .map(file => path.basename(file, '.json'));
+}
+
+// Reads and rewrites the whole <name>.json file on every call.
+class JsonFileEngine {
+    constructor({ collectionsDirectory, dataDirectory, codec = PLAIN_CODEC }) {
+        this.collectionsDirectory = collectionsDirectory;
+        this.batchPath = path.join(dataDirectory, 'batch.json');
+        this.codec = codec;
+    }
+
+    // A batch that was journaled but not fully written is redone
+    open() {
+        if (!fs.existsSync(this.batchPath)) {
+            return;
+        }
+        const { collections } = JSON.parse(this.codec.decode(fs.readFileSync(this.batchPath, 'utf-8')));
+        this.writeCollections(collections);
+        fs.rmSync(this.batchPath, { force: true });
+        logger.warn('Recovered interrupted batch write', { collections: Object.keys(collections).length });
+    }
+
+    close() {}
+
+    flush() {}
+
+    collectionPath(name) {
+        return path.join(this.collectionsDirectory, `${name}.json`);
+    }
+
+    list() {
+        return listCollectionFiles(this.collectionsDirectory);
+    }
+
+    read(name) {
+        const collectionPath = this.collectionPath(name);
+        if (!fs.existsSync(collectionPath)) {
+            return [];
+        }
+        return JSON.parse(this.codec.decode(fs.readFileSync(collectionPath, 'utf-8')));
+    }
+
+    apply(name, mutation) {
+        this.writeCollections({ [name]: applyToCollection(this.read(name), mutation) });
+    }
+
+    // entries: [{ collection, mutation }] applied all-or-nothing. The final
+    // contents of every touched collection are journaled first, so a crash
+    // while writing the files is finished on the next open().
+    applyBatch(entries) {
+        const collections = {};
+        for (const { collection: name, mutation } of entries) {
+            const current = name in collections ? collections[name] : this.read(name);
+            collections[name] = applyToCollection(current || [], mutation);
+        }
+
+        if (Object.keys(collections).length === 1) {
+            this.writeCollections(collections);
+            return;
+        }
+        writeFileAtomic(this.batchPath, this.codec.encode(JSON.stringify({ collections })));
+        this.writeCollections(collections);
+        fs.rmSync(this.batchPath, { force: true });
+    }
+
+    // collections: { name: documents, or null to drop the collection }
+    writeCollections(collections) {
+        for (const [name, documents] of Object.entries(collections)) {
+            const collectionPath = this.collectionPath(name);
+            if (documents === null) {
+                fs.rmSync(collectionPath, { force: true });
+            } else {
+                writeFileAtomic(collectionPath, this.codec.encode(JSON.stringify(documents, null, 2)));
+            }
+        }
+    }
+}
+
+// Keeps every collection in memory and appends each mutation to a write-ahead
+// log before acknowledging it. The log is periodically folded back into the
+// <name>.json snapshots, so the collections directory stays readable by the
+// JSON engine and by backups.
+class LogEngine {
+    constructor({ collectionsDirectory, dataDirectory, compactionInterval, compactionLogSize, codec = PLAIN_CODEC }) {
+        this.collectionsDirectory = collectionsDirectory;
+        this.codec = codec;
+        this.logPath = path.join(dataDirectory, 'wal.log');
+        this.compactionDirectory = path.join(dataDirectory, 'wal-compaction');
+        this.compactionInterval = compactionInterval;
+        this.compactionLogSize = compactionLogSize;
+        this.collections = new Map();
+        this.dirty = new Set();
+        this.dropped = new Set();
+        this.logFd = null;
+        this.logSize = 0;
+        this.seq = 0;
+        this.compactionTimer = null;
+    }
+
+    open() {
+        this.finishCompaction();
+
+        for (const name of listCollectionFiles(this.collectionsDirectory)) {
+            const contents = fs.readFileSync(path.join(this.collectionsDirectory, `${name}.json`), 'utf-8');
+            this.collections.set(name, JSON.parse(this.codec.decode(contents)));
+        }
+
+        const replayed = this.replayLog();
+        this.logFd = fs.openSync(this.logPath, 'a');
+        this.logSize = fs.fstatSync(this.logFd).size;
+
+        if (replayed > 0) {
+            logger.info('Replayed write-ahead log', { entries: replayed });
+        }
+
+        if (this.compactionInterval) {
+            this.compactionTimer = setInterval(() => this.compact(), this.compactionInterval);
+            this.compactionTimer.unref();
+        }
+    }
+
+    close() {
+        if (this.compactionTimer) {
+            clearInterval(this.compactionTimer);
+            this.compactionTimer = null;
+        }
+        if (this.logFd !== null) {
+            this.compact();
+            fs.closeSync(this.logFd);
+            this.logFd = null;
+        }
+    }
+
+    flush() {
+        this.compact();
+    }
+
+    replayLog() {
+        if (!fs.existsSync(this.logPath)) {
+            return 0;
+        }
+
+        const lines = fs.readFileSync(this.logPath, 'utf-8').split('\n');
+        let validLength = 0;
+        let replayed = 0;
+        for (const [lineIndex, line] of lines.entries()) {
+            if (line.length === 0) continue;
+            let entry;
+            try {
+                entry = JSON.parse(this.codec.decode(line));
+            } catch (error) {
+                // A torn final line means the write was never acknowledged.
+                // Anything earlier was, so it must not be dropped; this is
+                // also what a log encrypted with a missing key looks like.
+                if (lines.slice(lineIndex + 1).some(rest => rest.length > 0)) {
+                    throw new Error(`Unreadable write-ahead log entry ${lineIndex + 1}: ${error.message}`);
+                }
+                break;
+            }
+            for (const { collection, mutation } of this.entriesOf(entry)) {
+                this.applyInMemory(collection, mutation);
+            }
+            this.seq = entry.seq;
+            validLength += Buffer.byteLength(line) + 1;
+            replayed++;
+        }
+
+        if (validLength < fs.statSync(this.logPath).size) {
+            fs.truncateSync(this.logPath, validLength);
+        }
+        return replayed;
+    }
+
+    applyInMemory(name, mutation) {
+        const collection = applyToCollection(this.collections.get(name) || [], mutation);
+        if (collection === null) {
+            this.collections.delete(name);
+            this.dirty.delete(name);
+            this.dropped.add(name);
+            return;
+        }
+        this.collections.set(name, collection);
+        this.dirty.add(name);
+        this.dropped.delete(name);
+    }
+
+    list() {
+        return [...this.collections.keys()];
+    }
+
+    read(name) {
+        const collection = this.collections.get(name);
+        return collection ? collection.slice() : [];
+    }
+
+    // Batches are written as a single log line, so they are replayed
+    // completely or not at all.
+    entriesOf(logEntry) {
+        return logEntry.batch || [{ collection: logEntry.collection, mutation: logEntry.mutation }];
+    }
+
+    apply(name, mutation) {
+        this.appendEntry({ collection: name, mutation });
+    }
+
+    applyBatch(entries) {
+        this.appendEntry({ batch: entries });
+    }
+
+    appendEntry(entry) {
+        const json = JSON.stringify({ seq: this.seq + 1, ...entry });
+        const line = this.codec.encode(json) + '\n';
+        fs.writeSync(this.logFd, line);
+        fs.fsyncSync(this.logFd);
+        this.seq++;
+        this.logSize += Buffer.byteLength(line);
+
+        // Apply a parsed copy so callers can't mutate the cached documents.
+        for (const { collection, mutation } of this.entriesOf(JSON.parse(json))) {
+            this.applyInMemory(collection, mutation);
+        }
+
+        if (this.compactionLogSize && this.logSize >= this.compactionLogSize) {
+            this.compact();
+        }
+    }
+
+    // Snapshots are staged in a separate directory and only moved into place
+    // once all of them are written, so a crash mid-compaction never leaves the
+    // snapshots ahead of the log.
+    compact() {
+        if (this.logSize === 0 && this.dirty.size === 0 && this.dropped.size === 0) {
+            return;
+        }
+
+        fs.rmSync(this.compactionDirectory, { recursive: true, force: true });
+        fs.mkdirSync(this.compactionDirectory, { recursive: true });
+
+        for (const name of this.dirty) {
+            writeFileAtomic(
+                path.join(this.compactionDirectory, `${name}.json`),
+                this.codec.encode(JSON.stringify(this.collections.get(name), null, 2))
+            );
+        }
+        writeFileAtomic(
+            path.join(this.compactionDirectory, 'COMPLETE'),
+            JSON.stringify({ seq: this.seq, dropped: [...this.dropped] })
+        );
+
+        this.finishCompaction();
+        this.dirty.clear();
+        this.dropped.clear();
+    }
+
+    finishCompaction() {
+        const markerPath = path.join(this.compactionDirectory, 'COMPLETE');
+        if (!fs.existsSync(markerPath)) {
+            fs.rmSync(this.compactionDirectory, { recursive: true, force: true });
+            return;
+        }
+
+        const { dropped } = JSON.parse(fs.readFileSync(markerPath, 'utf-8'));
+        for (const file of fs.readdirSync(this.compactionDirectory)) {
+            if (!file.endsWith('.json')) continue;
+            fs.renameSync(
+                path.join(this.compactionDirectory, file),
+                path.join(this.collectionsDirectory, file)
+            );
+        }
+        for (const name of dropped) {
+            fs.rmSync(path.join(this.collectionsDirectory, `${name}.json`), { force: true });
+        }
+
+        if (this.logFd !== null) {
+            fs.ftruncateSync(this.logFd, 0);
+        } else if (fs.existsSync(this.logPath)) {
+            fs.truncateSync(this.logPath, 0);
+        }
+        this.logSize = 0;
+        fs.rmSync(this.compactionDirectory, { recursive: true, force: true });
+    }
+}
+
+const engines = {
+    json: JsonFileEngine,
+    log: LogEngine
+};
+
+function createStorageEngine(name, options) {
+    const Engine = engines[name];
+    if (!Engine) {
+        throw new Error(`Unknown storage engine "${name}"`);
+    }
+    return new Engine(options);
+}
+
+module.exports = {
+    createStorageEngine,
+    JsonFileEngine,
+    LogEngine,
+    applyToCollection,
+    writeFileAtomic
+};
@@ -0,0 +1,369 @@
+// textsearch.js
+const { resolvePath } = require('./paths');
+
+// Full-text index over the schema fields marked text: true, or
+// text: { weight } to count a field more (or less) than the others.
+// Text is lowercased, stripped of accents, split into words, stop words are
+// dropped and the rest reduced to their stems, so 'Running Shoes' is indexed
+// as 'run' and 'shoe'. Like the field indexes it maps collection positions.
+
+const STOP_WORDS = new Set([
+    'a', 'about', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'do', 'does', 'for', 'from',
+    'had', 'has', 'have', 'he', 'her', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me', 'my', 'no', 'not',
+    'of', 'on', 'or', 'our', 'she', 'so', 'such', 'than', 'that', 'the', 'their', 'them', 'then', 'there', 'these',
+    'they', 'this', 'those', 'to', 'too', 'us', 'was', 'we', 'were', 'what', 'when', 'which', 'who', 'will', 'with',
+    'you', 'your'
+]);
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+const MAX_FUZZY_DISTANCE = 2;
+// Prefix and fuzzy matches count less than the word itself
+const PREFIX_WEIGHT = 0.5;
+
+function words(text) {
+    return text.normalize('NFKD').replace(/[\u0300-\u036f]/g, '').toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+}
+
+function isConsonant(word, i) {
+    switch (word[i]) {
+        case 'a':
+        case 'e':
+        case 'i':
+        case 'o':
+        case 'u':
+            return false;
+        case 'y':
+            return i === 0 || !isConsonant(word, i - 1);
+        default:
+            return true;
+    }
+}
+
+// Porter's m: the number of vowel-consonant sequences in stem
+function measure(stem) {
+    let count = 0;
+    let vowelSeen = false;
+    for (let i = 0; i < stem.length; i++) {
+        if (!isConsonant(stem, i)) {
+            vowelSeen = true;
+        } else if (vowelSeen) {
+            count++;
+            vowelSeen = false;
+        }
+    }
+    return count;
+}
+
+function hasVowel(stem) {
+    for (let i = 0; i < stem.length; i++) {
+        if (!isConsonant(stem, i)) return true;
+    }
+    return false;
+}
+
+function endsWithDoubleConsonant(word) {
+    const last = word.length - 1;
+    return last > 0 && word[last] === word[last - 1] && isConsonant(word, last);
+}
+
+// consonant-vowel-consonant, the last not w, x or y, as in 'hop'
+function endsWithCvc(word) {
+    const last = word.length - 1;
+    return last >= 2 && isConsonant(word, last) && !isConsonant(word, last - 1) && isConsonant(word, last - 2) &&
+        !'wxy'.includes(word[last]);
+}
+
+// Step 1 of the Porter stemmer: plurals and -ed, -ing endings, which covers
+// most of the variation in product and document text
+function stem(word) {
+    if (word.length <= 2 || !/^[a-z]+$/.test(word)) {
+        return word;
+    }
+
+    if (word.endsWith('sses') || word.endsWith('ies')) {
+        word = word.slice(0, -2);
+    } else if (word.endsWith('s') && !word.endsWith('ss')) {
+        word = word.slice(0, -1);
+    }
+
+    if (word.endsWith('eed')) {
+        if (measure(word.slice(0, -3)) > 0) word = word.slice(0, -1);
+    } else {
+        const ending = ['ed', 'ing'].find(suffix => word.endsWith(suffix) && hasVowel(word.slice(0, -suffix.length)));
+        if (ending) {
+            word = word.slice(0, -ending.length);
+            if (word.endsWith('at') || word.endsWith('bl') || word.endsWith('iz')) {
+                word += 'e';
+            } else if (endsWithDoubleConsonant(word) && !'lsz'.includes(word[word.length - 1])) {
+                word = word.slice(0, -1);
+            } else if (measure(word) === 1 && endsWithCvc(word)) {
+                word += 'e';
+            }
+        }
+    }
+
+    if (word.endsWith('y') && hasVowel(word.slice(0, -1))) {
+        word = `${word.slice(0, -1)}i`;
+    }
+    return word;
+}
+
+// Terms of a text in order, as { word, term }, without stop words
+function tokenize(text) {
+    return words(text)
+        .filter(word => !STOP_WORDS.has(word))
+        .map(word => ({ word, term: stem(word) }));
+}
+
+// Edit distance, or max + 1 once it is known to exceed max
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let previous = Array.from({ length: b.length + 1 }, (value, index) => index);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+        for (let j = 1; j <= b.length; j++) {
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+            rowMin = Math.min(rowMin, current[j]);
+        }
+        if (rowMin > max) return max + 1;
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+// Search text syntax:
+//   wireless headphones   documents containing both words, or words with the same stem
+//   "noise cancelling"    the words next to each other
+//   head*                 words starting with head
+//   headphnes~ or ~2      words within 1 (or 2) edits
+// With prefix, a bare last word is matched as a prefix, for search as you
+// type; a trailing space marks it as complete. fuzzy sets the edit distance
+// of the words without * or ~.
+function parseSearch(text, { prefix = false, fuzzy = 0 } = {}) {
+    if (typeof text !== 'string') {
+        throw new Error('search requires a text string');
+    }
+    if (!Number.isInteger(fuzzy) || fuzzy < 0 || fuzzy > MAX_FUZZY_DISTANCE) {
+        throw new Error(`fuzzy must be an integer from 0 to ${MAX_FUZZY_DISTANCE}`);
+    }
+
+    const clauses = [];
+    let lastIsBare = false;
+    const pattern = /"([^"]*)"|(\S+)/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        lastIsBare = false;
+        if (match[1] !== undefined) {
+            const tokens = tokenize(match[1]);
+            if (tokens.length > 0) clauses.push({ type: 'phrase', tokens });
+            continue;
+        }
+        const [, base, operator, distance] = match[2].match(/^(.*?)(\*|~(\d)?)?$/);
+        const tokens = tokenize(base);
+        if (tokens.length !== 1) {
+            // Stop words and words like 'wi-fi', which are a phrase of their own
+            if (tokens.length > 1) clauses.push({ type: 'phrase', tokens });
+            continue;
+        }
+        const clause = { type: 'word', ...tokens[0], prefix: operator === '*', fuzzy: operator === undefined ? fuzzy : 0 };
+        if (operator !== undefined && operator !== '*') {
+            clause.fuzzy = Math.min(distance === undefined ? 1 : Number(distance), MAX_FUZZY_DISTANCE);
+        }
+        clauses.push(clause);
+        lastIsBare = operator === undefined && match.index + match[0].length === text.length;
+    }
+
+    if (prefix && lastIsBare) {
+        clauses[clauses.length - 1].prefix = true;
+    }
+    return clauses;
+}
+
+class TextIndex {
+    // fields: [{ field, weight }]
+    constructor(fields) {
+        this.fields = fields;
+        // term -> Set of positions
+        this.postings = new Map();
+        // word as written -> { term, count }, for prefix and fuzzy matching
+        this.vocabulary = new Map();
+        // position -> { fields: { field: { length, terms: Map(term -> offsets) } }, words }
+        this.documents = new Map();
+        this.totalLengths = Object.fromEntries(fields.map(({ field }) => [field, 0]));
+    }
+
+    add(position, doc) {
+        const entry = { fields: {}, words: [] };
+        for (const { field } of this.fields) {
+            const value = resolvePath(doc, field);
+            const texts = [].concat(value).filter(text => typeof text === 'string');
+            if (texts.length === 0) continue;
+
+            const terms = new Map();
+            let offset = 0;
+            for (const text of texts) {
+                for (const { word, term } of tokenize(text)) {
+                    if (!terms.has(term)) terms.set(term, []);
+                    terms.get(term).push(offset++);
+                    entry.words.push(word);
+                }
+                // Phrases don't run from one array element into the next
+                offset++;
+            }
+            const length = [...terms.values()].reduce((total, offsets) => total + offsets.length, 0);
+            entry.fields[field] = { length, terms };
+            this.totalLengths[field] += length;
+            for (const term of terms.keys()) {
+                if (!this.postings.has(term)) this.postings.set(term, new Set());
+                this.postings.get(term).add(position);
+            }
+        }
+        for (const word of entry.words) {
+            const known = this.vocabulary.get(word);
+            if (known) {
+                known.count++;
+            } else {
+                this.vocabulary.set(word, { term: stem(word), count: 1 });
+            }
+        }
+        this.documents.set(position, entry);
+    }
+
+    remove(position) {
+        const entry = this.documents.get(position);
+        if (!entry) return;
+        for (const [field, { length, terms }] of Object.entries(entry.fields)) {
+            this.totalLengths[field] -= length;
+            for (const term of terms.keys()) {
+                const positions = this.postings.get(term);
+                positions.delete(position);
+                if (positions.size === 0) this.postings.delete(term);
+            }
+        }
+        for (const word of entry.words) {
+            const known = this.vocabulary.get(word);
+            if (--known.count === 0) this.vocabulary.delete(word);
+        }
+        this.documents.delete(position);
+    }
+
+    // Terms a word clause stands for, with how much each counts
+    expand(clause) {
+        const terms = new Map([[clause.term, 1]]);
+        if (!clause.prefix && clause.fuzzy === 0) {
+            return terms;
+        }
+        for (const [word, { term }] of this.vocabulary) {
+            let weight = 0;
+            if (clause.prefix && word.startsWith(clause.word)) {
+                weight = PREFIX_WEIGHT;
+            }
+            if (clause.fuzzy > 0) {
+                const distance = editDistance(clause.word, word, clause.fuzzy);
+                if (distance <= clause.fuzzy) weight = Math.max(weight, 1 / (1 + distance));
+            }
+            if (weight > (terms.get(term) || 0)) {
+                terms.set(term, weight);
+            }
+        }
+        return terms;
+    }
+
+    // BM25 summed over the text fields, each times its weight
+    termScore(term, position) {
+        const postings = this.postings.get(term);
+        if (!postings || !postings.has(position)) return 0;
+        const count = this.documents.size;
+        const idf = Math.log(1 + (count - postings.size + 0.5) / (postings.size + 0.5));
+        const entry = this.documents.get(position);
+        let score = 0;
+        for (const { field, weight } of this.fields) {
+            const indexed = entry.fields[field];
+            const offsets = indexed && indexed.terms.get(term);
+            if (!offsets) continue;
+            const averageLength = this.totalLengths[field] / count || 1;
+            const frequency = offsets.length;
+            score += weight * idf * frequency * (K1 + 1) / (frequency + K1 * (1 - B + B * indexed.length / averageLength));
+        }
+        return score;
+    }
+
+    // Whether the terms follow each other in one of the position's fields
+    containsPhrase(position, terms) {
+        const entry = this.documents.get(position);
+        return Object.values(entry.fields).some(({ terms: fieldTerms }) => {
+            const starts = fieldTerms.get(terms[0]);
+            return starts && starts.some(start => terms.every((term, i) => {
+                const offsets = fieldTerms.get(term);
+                return offsets && offsets.includes(start + i);
+            }));
+        });
+    }
+
+    // Positions matching every clause, mapped to their relevance score
+    search(clauses) {
+        let scores = null;
+        for (const clause of clauses) {
+            const clauseScores = new Map();
+            if (clause.type === 'word') {
+                for (const [term, weight] of this.expand(clause)) {
+                    for (const position of this.postings.get(term) || []) {
+                        const score = weight * this.termScore(term, position);
+                        if (score > (clauseScores.get(position) || 0)) {
+                            clauseScores.set(position, score);
+                        }
+                    }
+                }
+            } else {
+                const terms = clause.tokens.map(token => token.term);
+                const rarest = terms.reduce((best, term) =>
+                    (this.postings.get(term) || new Set()).size < (this.postings.get(best) || new Set()).size ? term : best);
+                for (const position of this.postings.get(rarest) || []) {
+                    if (this.containsPhrase(position, terms)) {
+                        clauseScores.set(position, terms.reduce((total, term) => total + this.termScore(term, position), 0));
+                    }
+                }
+            }
+
+            if (scores === null) {
+                scores = clauseScores;
+            } else {
+                for (const [position, score] of scores) {
+                    if (clauseScores.has(position)) {
+                        scores.set(position, score + clauseScores.get(position));
+                    } else {
+                        scores.delete(position);
+                    }
+                }
+            }
+        }
+        return scores || new Map();
+    }
+
+    describe() {
+        return {
+            fields: this.fields.map(({ field, weight }) => ({ field, weight })),
+            types: ['text'],
+            terms: this.postings.size
+        };
+    }
+}
+
+// Fields with text: true or text: { weight } in a schema definition
+function textFieldDefinitions(schema) {
+    return Object.entries(schema)
+        .filter(([, fieldSchema]) => fieldSchema.text)
+        .map(([field, fieldSchema]) => ({
+            field,
+            weight: typeof fieldSchema.text === 'object' && fieldSchema.text.weight !== undefined ? fieldSchema.text.weight : 1
+        }));
+}
+
+module.exports = {
+    TextIndex,
+    parseSearch,
+    textFieldDefinitions
+};
@@ -0,0 +1,47 @@
+// ttl.js
+const { getPath, isPlainObject } = require('./paths');
+
+// The schema option ttl makes documents expire:
+//   { field: 'createdAt', expireAfterSeconds: 3600 }   an hour after the date in createdAt
+//   { field: 'expiresAt' }                             at the date in expiresAt
+// Documents whose field is missing or not a date never expire.
+
+// Problems with a ttl option, as a list of messages
+function checkTtl(ttl) {
+    if (ttl === undefined) return [];
+    if (!isPlainObject(ttl)) {
+        return ['ttl must be an object'];
+    }
+    const problems = [];
+    if (typeof ttl.field !== 'string' || ttl.field.length === 0) {
+        problems.push('ttl.field must name a date field');
+    }
+    if (ttl.expireAfterSeconds !== undefined && !(Number.isFinite(ttl.expireAfterSeconds) && ttl.expireAfterSeconds >= 0)) {
+        problems.push('ttl.expireAfterSeconds must be a non-negative number');
+    }
+    const unknown = Object.keys(ttl).filter(key => !['field', 'expireAfterSeconds'].includes(key));
+    if (unknown.length > 0) {
+        problems.push(`Unknown ttl settings: ${unknown.join(', ')}`);
+    }
+    return problems;
+}
+
+// When the document expires, in milliseconds since the epoch, or null
+function expiryTime(document, ttl) {
+    const value = getPath(document, ttl.field);
+    if (typeof value !== 'string' && typeof value !== 'number') return null;
+    const time = new Date(value).getTime();
+    if (Number.isNaN(time)) return null;
+    return time + (ttl.expireAfterSeconds || 0) * 1000;
+}
+
+function isExpired(document, ttl, now = Date.now()) {
+    const expiry = expiryTime(document, ttl);
+    return expiry !== null && expiry <= now;
+}
+
+module.exports = {
+    checkTtl,
+    expiryTime,
+    isExpired
+};
@@ -0,0 +1,156 @@
+// updates.js
+const { checkPath, getPath, setPath, unsetPath, hasPath, deepEqual, cloneDocument, isPlainObject } = require('./paths');
+
+const UPDATE_OPERATORS = ['$set', '$unset', '$inc', '$mul', '$min', '$max', '$push', '$addToSet', '$pull', '$rename'];
+
+// updateFields either uses update operators, or is a plain object that is
+// shallow-merged into the document like $set on top-level fields.
+function isOperatorUpdate(updateFields) {
+    return Object.keys(updateFields).some(key => key.startsWith('$'));
+}
+
+function checkUpdate(updateFields) {
+    if (!isPlainObject(updateFields)) {
+        throw new Error('updateFields must be an object');
+    }
+    if (!isOperatorUpdate(updateFields)) {
+        Object.keys(updateFields).forEach(checkPath);
+        return;
+    }
+    for (const [operator, fields] of Object.entries(updateFields)) {
+        if (!UPDATE_OPERATORS.includes(operator)) {
+            throw new Error(`Unsupported update operator: ${operator}`);
+        }
+        if (!isPlainObject(fields)) {
+            throw new Error(`${operator} requires an object of field paths`);
+        }
+        for (const [path, value] of Object.entries(fields)) {
+            checkPath(path);
+            if (operator === '$rename') checkPath(value);
+        }
+    }
+}
+
+function requireNumber(value, operator, path) {
+    if (typeof value !== 'number') {
+        throw new Error(`${operator} on "${path}" requires a number`);
+    }
+}
+
+function requireArray(doc, operator, path) {
+    const current = getPath(doc, path);
+    if (current === undefined) {
+        setPath(doc, path, []);
+        return getPath(doc, path);
+    }
+    if (!Array.isArray(current)) {
+        throw new Error(`${operator} on "${path}" requires an array field`);
+    }
+    return current;
+}
+
+function eachValues(value) {
+    return isPlainObject(value) && Array.isArray(value.$each) ? value.$each : [value];
+}
+
+// Returns an updated copy of document. matches(element, condition) decides
+// which array elements $pull removes when the condition is a query.
+function applyUpdate(document, updateFields, { matches }) {
+    if (!isOperatorUpdate(updateFields)) {
+        return { ...document, ...updateFields };
+    }
+
+    const doc = cloneDocument(document);
+    for (const [operator, fields] of Object.entries(updateFields)) {
+        for (const [path, value] of Object.entries(fields)) {
+            switch (operator) {
+                case '$set':
+                    setPath(doc, path, value);
+                    break;
+                case '$unset':
+                    unsetPath(doc, path);
+                    break;
+                case '$inc': {
+                    requireNumber(value, operator, path);
+                    const current = getPath(doc, path);
+                    if (current !== undefined) requireNumber(current, operator, path);
+                    setPath(doc, path, (current || 0) + value);
+                    break;
+                }
+                case '$mul': {
+                    requireNumber(value, operator, path);
+                    const current = getPath(doc, path);
+                    if (current !== undefined) requireNumber(current, operator, path);
+                    setPath(doc, path, (current || 0) * value);
+                    break;
+                }
+                case '$min': {
+                    const current = getPath(doc, path);
+                    if (current === undefined || value < current) setPath(doc, path, value);
+                    break;
+                }
+                case '$max': {
+                    const current = getPath(doc, path);
+                    if (current === undefined || value > current) setPath(doc, path, value);
+                    break;
+                }
+                case '$push':
+                    requireArray(doc, operator, path).push(...eachValues(value));
+                    break;
+                case '$addToSet': {
+                    const array = requireArray(doc, operator, path);
+                    for (const item of eachValues(value)) {
+                        if (!array.some(existing => deepEqual(existing, item))) {
+                            array.push(item);
+                        }
+                    }
+                    break;
+                }
+                case '$pull': {
+                    const current = getPath(doc, path);
+                    if (current === undefined) break;
+                    if (!Array.isArray(current)) {
+                        throw new Error(`$pull on "${path}" requires an array field`);
+                    }
+                    const remove = isPlainObject(value)
+                        ? element => matches(element, value)
+                        : element => deepEqual(element, value);
+                    setPath(doc, path, current.filter(element => !remove(element)));
+                    break;
+                }
+                case '$rename':
+                    if (typeof value !== 'string' || value.length === 0) {
+                        throw new Error(`$rename of "${path}" requires a new field name`);
+                    }
+                    if (hasPath(doc, path)) {
+                        const current = getPath(doc, path);
+                        unsetPath(doc, path);
+                        setPath(doc, value, current);
+                    }
+                    break;
+            }
+        }
+    }
+    return doc;
+}
+
+// Starting document for an upsert: the equality conditions of the query
+function upsertBase(query) {
+    const doc = {};
+    for (const [key, value] of Object.entries(query)) {
+        if (key.startsWith('$')) continue;
+        if (isPlainObject(value) && Object.keys(value).some(operator => operator.startsWith('$'))) {
+            if ('$eq' in value) setPath(doc, key, value.$eq);
+        } else {
+            setPath(doc, key, value);
+        }
+    }
+    return doc;
+}
+
+module.exports = {
+    applyUpdate,
+    checkUpdate,
+    upsertBase,
+    UPDATE_OPERATORS
+};
@@ -0,0 +1,189 @@
+// users.js
+const fs = require('fs');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { writeFileAtomic } = require('./storage');
+const { PyxiCloudError } = require('./errors');
+const { logger } = require('./logger');
+
+const scrypt = promisify(crypto.scrypt);
+
+const HASH_LENGTH = 64;
+const SALT_LENGTH = 16;
+
+// Each role includes the ones before it
+const ROLES = ['read', 'write', 'admin'];
+
+// Roles are granted per collection name, or for every collection with '*'
+const WILDCARD = '*';
+
+async function hashPassword(password) {
+    const salt = crypto.randomBytes(SALT_LENGTH);
+    const hash = await scrypt(password, salt, HASH_LENGTH);
+    return `scrypt:${salt.toString('hex')}:${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, passwordHash) {
+    const [scheme, saltHex, hashHex] = String(passwordHash).split(':');
+    if (scheme !== 'scrypt' || !saltHex || !hashHex) {
+        return false;
+    }
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, Buffer.from(saltHex, 'hex'), expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+function checkCredentials(username, password) {
+    if (typeof username !== 'string' || username.length === 0) {
+        throw new Error('username must be a non-empty string');
+    }
+    if (typeof password !== 'string' || password.length === 0) {
+        throw new Error('password must be a non-empty string');
+    }
+}
+
+function checkRole(collectionName, role) {
+    if (typeof collectionName !== 'string' || collectionName.length === 0) {
+        throw new Error('collectionName must be a collection name or "*"');
+    }
+    if (!ROLES.includes(role)) {
+        throw new Error(`role must be one of ${ROLES.join(', ')}`);
+    }
+}
+
+// Only grants the account itself holds, never inherited properties
+function grantIn(roles, collectionName) {
+    return Object.prototype.hasOwnProperty.call(roles, collectionName) ? roles[collectionName] : undefined;
+}
+
+// Accounts are kept in Database/users.json as
+// { username: { passwordHash, roles: { collectionName: role }, createdAt } }
+class UserStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.users = new Map();
+        // Compared against when the username is unknown, so a failed login
+        // takes as long whether or not the account exists
+        this.dummyHash = null;
+    }
+
+    // The first start creates an administrator from the bootstrap credentials
+    async open(bootstrap) {
+        if (fs.existsSync(this.filePath)) {
+            const stored = JSON.parse(fs.readFileSync(this.filePath, 'utf-8'));
+            this.users = new Map(Object.entries(stored));
+        } else if (bootstrap && bootstrap.username && bootstrap.password) {
+            await this.create(bootstrap.username, bootstrap.password, { [WILDCARD]: 'admin' });
+            logger.info('Created administrator account', { username: bootstrap.username });
+        }
+        this.dummyHash = await hashPassword(crypto.randomBytes(16).toString('hex'));
+    }
+
+    save() {
+        writeFileAtomic(this.filePath, JSON.stringify(Object.fromEntries(this.users), null, 2));
+    }
+
+    has(username) {
+        return this.users.has(username);
+    }
+
+    describe(username) {
+        const { roles, createdAt } = this.users.get(username);
+        return { username, roles: { ...roles }, createdAt };
+    }
+
+    list() {
+        return [...this.users.keys()].map(username => this.describe(username));
+    }
+
+    async authenticate(username, password) {
+        const user = this.users.get(username);
+        const valid = await verifyPassword(String(password), user ? user.passwordHash : this.dummyHash);
+        return Boolean(user) && valid;
+    }
+
+    async create(username, password, roles = {}) {
+        checkCredentials(username, password);
+        if (this.users.has(username)) {
+            throw new PyxiCloudError('ALREADY_EXISTS', `User "${username}" already exists`, { resource: 'user', name: username });
+        }
+        if (typeof roles !== 'object' || roles === null || Array.isArray(roles)) {
+            throw new Error('roles must map collection names to roles');
+        }
+        Object.entries(roles).forEach(([collectionName, role]) => checkRole(collectionName, role));
+
+        this.users.set(username, {
+            passwordHash: await hashPassword(password),
+            roles: { ...roles },
+            createdAt: new Date().toISOString()
+        });
+        this.save();
+    }
+
+    delete(username) {
+        if (!this.users.delete(username)) {
+            throw new PyxiCloudError('NOT_FOUND', `User "${username}" not found`, { resource: 'user', name: username });
+        }
+        this.save();
+    }
+
+    async changePassword(username, password) {
+        checkCredentials(username, password);
+        const user = this.users.get(username);
+        if (!user) {
+            throw new PyxiCloudError('NOT_FOUND', `User "${username}" not found`, { resource: 'user', name: username });
+        }
+        user.passwordHash = await hashPassword(password);
+        this.save();
+    }
+
+    // A null role removes the grant
+    grantRole(username, collectionName, role) {
+        const user = this.users.get(username);
+        if (!user) {
+            throw new PyxiCloudError('NOT_FOUND', `User "${username}" not found`, { resource: 'user', name: username });
+        }
+        if (role === null) {
+            delete user.roles[collectionName];
+        } else {
+            checkRole(collectionName, role);
+            user.roles[collectionName] = role;
+        }
+        this.save();
+    }
+
+    // The stronger of the collection's own grant and the wildcard grant
+    roleFor(username, collectionName) {
+        const user = this.users.get(username);
+        if (!user) {
+            return null;
+        }
+        const granted = [grantIn(user.roles, collectionName), grantIn(user.roles, WILDCARD)]
+            .filter(role => ROLES.includes(role))
+            .map(role => ROLES.indexOf(role));
+        return granted.length > 0 ? ROLES[Math.max(...granted)] : null;
+    }
+
+    can(username, collectionName, role) {
+        const granted = this.roleFor(username, collectionName);
+        return granted !== null && ROLES.indexOf(granted) >= ROLES.indexOf(role);
+    }
+
+    // Server-wide administration, like managing accounts, needs admin on '*'
+    isAdministrator(username) {
+        const user = this.users.get(username);
+        return Boolean(user) && grantIn(user.roles, WILDCARD) === 'admin';
+    }
+
+    // Accounts that can still manage every collection once username is gone
+    // or demoted; used to refuse locking everyone out
+    otherAdministrators(username) {
+        return [...this.users.keys()].filter(other => other !== username && this.isAdministrator(other));
+    }
+}
+
+module.exports = {
+    UserStore,
+    ROLES,
+    WILDCARD
+};
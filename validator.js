@@ -0,0 +1,203 @@
+// validator.js
+
+// Field schema rules:
+//   type        'string' | 'number' | 'integer' | 'boolean' | 'date' | 'object' | 'array' | 'null' | 'any',
+//               or an array of those
+//   required    field must be present
+//   default     value (or function) used when the field is missing
+//   enum        list of allowed values
+//   min, max    bounds for numbers and dates
+//   minLength, maxLength   bounds for string length and array length
+//   pattern     regular expression strings must match
+//   properties  field schemas of a nested object
+//   items       field schema of every array element
+//   strict      reject fields of a nested object not declared in properties
+//   encrypted   store the value encrypted at rest (top-level fields only)
+//   text        full-text index the field: true, or { weight } (top-level fields only)
+const { PyxiCloudError } = require('./errors');
+
+const TYPES = ['string', 'number', 'integer', 'boolean', 'date', 'object', 'array', 'null', 'any'];
+
+class ValidationError extends PyxiCloudError {
+    constructor(errors) {
+        super('VALIDATION_FAILED', errors.map(error => error.message).join('; '), { errors });
+        this.name = 'ValidationError';
+        this.errors = errors;
+    }
+}
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'string':
+        case 'boolean':
+            return typeof value === type;
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'date':
+            return (typeof value === 'string' || typeof value === 'number') && !Number.isNaN(new Date(value).getTime());
+        case 'object':
+            return isPlainObject(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'null':
+            return value === null;
+        default:
+            return true;
+    }
+}
+
+function fieldPath(parent, key) {
+    if (parent === '') return String(key);
+    return typeof key === 'number' ? `${parent}[${key}]` : `${parent}.${key}`;
+}
+
+function validateValue(value, fieldSchema, path, options, errors) {
+    const types = fieldSchema.type === undefined ? ['any'] : [].concat(fieldSchema.type);
+    const type = types.find(candidate => matchesType(value, candidate));
+    if (type === undefined) {
+        errors.push({ field: path, rule: 'type', expected: types, message: `Field "${path}" must be of type ${types.join(' or ')}` });
+        return value;
+    }
+
+    if (Array.isArray(fieldSchema.enum) && !fieldSchema.enum.includes(value)) {
+        errors.push({ field: path, rule: 'enum', expected: fieldSchema.enum, message: `Field "${path}" must be one of ${fieldSchema.enum.map(v => JSON.stringify(v)).join(', ')}` });
+    }
+
+    const comparable = type === 'date' ? new Date(value).getTime() : value;
+    if (typeof comparable === 'number') {
+        const min = type === 'date' && fieldSchema.min !== undefined ? new Date(fieldSchema.min).getTime() : fieldSchema.min;
+        const max = type === 'date' && fieldSchema.max !== undefined ? new Date(fieldSchema.max).getTime() : fieldSchema.max;
+        if (min !== undefined && comparable < min) {
+            errors.push({ field: path, rule: 'min', expected: fieldSchema.min, message: `Field "${path}" must be at least ${fieldSchema.min}` });
+        }
+        if (max !== undefined && comparable > max) {
+            errors.push({ field: path, rule: 'max', expected: fieldSchema.max, message: `Field "${path}" must be at most ${fieldSchema.max}` });
+        }
+    }
+
+    if (typeof value === 'string' || Array.isArray(value)) {
+        if (fieldSchema.minLength !== undefined && value.length < fieldSchema.minLength) {
+            errors.push({ field: path, rule: 'minLength', expected: fieldSchema.minLength, message: `Field "${path}" must have a length of at least ${fieldSchema.minLength}` });
+        }
+        if (fieldSchema.maxLength !== undefined && value.length > fieldSchema.maxLength) {
+            errors.push({ field: path, rule: 'maxLength', expected: fieldSchema.maxLength, message: `Field "${path}" must have a length of at most ${fieldSchema.maxLength}` });
+        }
+    }
+
+    if (typeof value === 'string' && fieldSchema.pattern !== undefined && !new RegExp(fieldSchema.pattern).test(value)) {
+        errors.push({ field: path, rule: 'pattern', expected: fieldSchema.pattern, message: `Field "${path}" must match pattern ${fieldSchema.pattern}` });
+    }
+
+    if (isPlainObject(value) && isPlainObject(fieldSchema.properties)) {
+        const strict = fieldSchema.strict !== undefined ? fieldSchema.strict : options.strict;
+        return validateFields(value, fieldSchema.properties, path, { ...options, strict }, errors);
+    }
+
+    if (Array.isArray(value) && isPlainObject(fieldSchema.items)) {
+        return value.map((item, index) => validateValue(item, fieldSchema.items, fieldPath(path, index), options, errors));
+    }
+
+    return value;
+}
+
+function validateFields(document, schema, path, options, errors) {
+    const validated = { ...document };
+
+    for (const [field, fieldSchema] of Object.entries(schema)) {
+        const currentPath = fieldPath(path, field);
+        if (!(field in validated)) {
+            if (options.applyDefaults && 'default' in fieldSchema) {
+                validated[field] = typeof fieldSchema.default === 'function'
+                    ? fieldSchema.default()
+                    : fieldSchema.default;
+            } else if (fieldSchema.required) {
+                errors.push({ field: currentPath, rule: 'required', message: `Required field "${currentPath}" is missing` });
+                continue;
+            } else {
+                continue;
+            }
+        }
+        validated[field] = validateValue(validated[field], fieldSchema, currentPath, options, errors);
+    }
+
+    if (options.strict) {
+        for (const field of Object.keys(validated)) {
+            if (!(field in schema)) {
+                const currentPath = fieldPath(path, field);
+                errors.push({ field: currentPath, rule: 'strict', message: `Unknown field "${currentPath}"` });
+            }
+        }
+    }
+
+    return validated;
+}
+
+// Returns the document with defaults applied and the list of per-field errors.
+function validateDocument(document, schema, { strict = false, applyDefaults = true } = {}) {
+    if (!isPlainObject(document)) {
+        return { document, errors: [{ field: null, rule: 'type', message: 'Document must be an object' }] };
+    }
+    const errors = [];
+    const validated = validateFields(document, schema, '', { strict, applyDefaults }, errors);
+    return { document: validated, errors };
+}
+
+// Problems with a schema definition itself, as a list of messages
+function checkSchemaDefinition(schema, path = '') {
+    const problems = [];
+    for (const [field, fieldSchema] of Object.entries(schema)) {
+        const currentPath = fieldPath(path, field);
+        if (!isPlainObject(fieldSchema)) {
+            problems.push(`Field "${currentPath}" must be described by an object`);
+            continue;
+        }
+        if (fieldSchema.type !== undefined && ![].concat(fieldSchema.type).every(type => TYPES.includes(type))) {
+            problems.push(`Field "${currentPath}" has an unknown type`);
+        }
+        if (fieldSchema.pattern !== undefined) {
+            try {
+                new RegExp(fieldSchema.pattern);
+            } catch (error) {
+                problems.push(`Field "${currentPath}" has an invalid pattern: ${error.message}`);
+            }
+        }
+        if (fieldSchema.encrypted && path !== '') {
+            problems.push(`Field "${currentPath}" cannot be encrypted; only top-level fields can`);
+        }
+        if (fieldSchema.text !== undefined && fieldSchema.text !== false) {
+            const { text } = fieldSchema;
+            if (path !== '') {
+                problems.push(`Field "${currentPath}" cannot be text indexed; only top-level fields can`);
+            } else if (text !== true && !(isPlainObject(text) && Object.keys(text).every(key => key === 'weight') &&
+                (text.weight === undefined || (Number.isFinite(text.weight) && text.weight > 0)))) {
+                problems.push(`Field "${currentPath}" text must be true or { weight } with a positive weight`);
+            }
+        }
+        if (fieldSchema.enum !== undefined && !Array.isArray(fieldSchema.enum)) {
+            problems.push(`Field "${currentPath}" enum must be an array`);
+        }
+        if (fieldSchema.properties !== undefined) {
+            if (isPlainObject(fieldSchema.properties)) {
+                problems.push(...checkSchemaDefinition(fieldSchema.properties, currentPath));
+            } else {
+                problems.push(`Field "${currentPath}" properties must be an object`);
+            }
+        }
+        if (fieldSchema.items !== undefined) {
+            problems.push(...checkSchemaDefinition({ '[]': fieldSchema.items }, currentPath));
+        }
+    }
+    return problems;
+}
+
+module.exports = {
+    ValidationError,
+    validateDocument,
+    checkSchemaDefinition
+};